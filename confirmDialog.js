@@ -13,6 +13,18 @@ export class DialogManager {
         this.#openDialog.open();
     }
 
+    // Asks for one value per label, callback gets the values in the same order.
+    // Cancelled right away while another dialog is open.
+    prompt (title, labels, ok_label, cancel_label, callback, cancel_callback) {
+        if (this.#openDialog) {
+            cancel_callback?.();
+            return;
+        }
+        this.#openDialog = new InputDialog(title, labels, ok_label, cancel_label, callback, cancel_callback);
+        this.#openDialog.onFinish = () => this.#openDialog = null;
+        this.#openDialog.open();
+    }
+
     destroy () {
         if (this.#openDialog) this.#openDialog.destroy();
         this.#openDialog = null;
@@ -70,3 +82,66 @@ const ConfirmDialog = GObject.registerClass(
     }
   }
 );
+
+const InputDialog = GObject.registerClass(
+  class InputDialog extends ModalDialog.ModalDialog {
+
+    _init(title, labels, ok_label, cancel_label, callback, cancel_callback) {
+      super._init();
+
+      let message_box = new St.BoxLayout({
+        vertical: true
+      });
+      this.contentLayout.add_child(message_box);
+
+      let subject_label = new St.Label({
+        style: 'font-weight: bold',
+        x_align: Clutter.ActorAlign.CENTER,
+        text: title
+      });
+      message_box.add_child(subject_label);
+
+      const confirm = () => {
+        this.close();
+        this.onFinish();
+        callback(entries.map(entry => entry.get_text()));
+      };
+
+      const entries = labels.map((label, index) => {
+        message_box.add_child(new St.Label({
+          style: 'padding-top: 12px',
+          text: label
+        }));
+
+        let entry = new St.Entry({
+          style_class: 'run-dialog-entry',
+          can_focus: true
+        });
+        // Enter moves to the next field, on the last one it confirms
+        entry.clutter_text.connect('activate', () => {
+          if (index === labels.length - 1) confirm();
+          else entries[index + 1].grab_key_focus();
+        });
+        message_box.add_child(entry);
+        return entry;
+      });
+      if (entries.length) this.setInitialKeyFocus(entries[0]);
+
+      this.setButtons([
+        {
+          label: cancel_label,
+          action: () => {
+            this.close();
+            this.onFinish();
+            cancel_callback?.();
+          },
+          key: Clutter.Escape
+        },
+        {
+          label: ok_label,
+          action: confirm
+        }
+      ]);
+    }
+  }
+);
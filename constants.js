@@ -3,6 +3,7 @@ export const PrefsFields = {
     PREVIEW_SIZE           : 'preview-size',
     CACHE_FILE_SIZE        : 'cache-size',
     CACHE_ONLY_FAVORITE    : 'cache-only-favorites',
+    MEMORY_ONLY            : 'memory-only',
     DELETE                 : 'enable-deletion',
     NOTIFY_ON_COPY         : 'notify-on-copy',
     CONFIRM_ON_CLEAR       : 'confirm-clear',
@@ -12,6 +13,10 @@ export const PrefsFields = {
     TOPBAR_DISPLAY_MODE_ID : 'display-mode',
     DISABLE_DOWN_ARROW     : 'disable-down-arrow',
     STRIP_TEXT             : 'strip-text',
+    NORMALIZE_LINE_ENDINGS : 'normalize-line-endings',
+    STRIP_TRAILING_SPACES  : 'strip-trailing-spaces',
+    STRIP_INVISIBLE_CHARS  : 'strip-invisible-chars',
+    CONVERT_SMART_QUOTES   : 'convert-smart-quotes',
     KEEP_SELECTED_ON_CLEAR : 'keep-selected-on-clear',
     PASTE_BUTTON           : 'paste-button',
     PINNED_ON_BOTTOM       : 'pinned-on-bottom',
@@ -20,5 +25,36 @@ export const PrefsFields = {
     BINDING_PREV_ENTRY     : 'prev-entry',
     BINDING_NEXT_ENTRY     : 'next-entry',
     BINDING_PRIVATE_MODE   : 'private-mode-binding',
-    CLEAR_ON_BOOT          : 'clear-on-boot'
+    CLEAR_ON_BOOT          : 'clear-on-boot',
+    TRACK_PRIMARY          : 'track-primary',
+    PRIMARY_HISTORY_SIZE   : 'primary-history-size',
+    SHOW_ENTRY_METADATA    : 'show-entry-metadata',
+    EXCLUDED_APPS          : 'excluded-apps',
+    SENSITIVE_RULES        : 'sensitive-rules',
+    SENSITIVE_PATTERNS     : 'sensitive-patterns',
+    SENSITIVE_EXPIRY       : 'sensitive-expiry',
+    MAX_ENTRY_AGE          : 'max-entry-age',
+    MAX_ENTRY_AGE_UNIT     : 'max-entry-age-unit',
+    ENCRYPT_CACHE          : 'encrypt-cache',
+    STORAGE_REQUEST        : 'storage-request',
+    STORAGE_PATH           : 'storage-path',
+    MAX_IMAGES             : 'max-images',
+    MAX_IMAGES_SIZE        : 'max-images-size',
+    MAX_IMAGE_SIZE         : 'max-image-size',
+    BIND_TO_DESKTOPS       : 'bind-to-desktops',
+    EXPAND_SNIPPETS        : 'expand-snippets'
 };
+
+// Settings a workspace may override in workspaces.json, with values of the same type
+export const WorkspaceSettingsFields = [
+    PrefsFields.HISTORY_SIZE,
+    PrefsFields.CACHE_FILE_SIZE,
+    PrefsFields.CACHE_ONLY_FAVORITE,
+    PrefsFields.MEMORY_ONLY,
+    PrefsFields.MAX_IMAGES,
+    PrefsFields.MAX_IMAGES_SIZE,
+    PrefsFields.MAX_IMAGE_SIZE,
+    PrefsFields.MAX_ENTRY_AGE,
+    PrefsFields.MAX_ENTRY_AGE_UNIT,
+    PrefsFields.NOTIFY_ON_COPY
+];
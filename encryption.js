@@ -0,0 +1,258 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 32;
+
+// Header of every encrypted file, followed by the nonce, the ciphertext and the tag
+const MAGIC = new TextEncoder().encode('CIENC2');
+
+// Data is processed in chunks of this size, returning to the main loop in between
+const CHUNK_LENGTH = 256 * 1024;
+
+const KEY_ATTRIBUTES = { purpose: 'cache-key' };
+
+export class KeyringLockedError extends Error {
+    constructor (message) {
+        super(message);
+        this.name = 'KeyringLockedError';
+    }
+}
+
+function hexToBytes (hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function hmac (key, data) {
+    return hexToBytes(GLib.compute_hmac_for_data(GLib.ChecksumType.SHA256, key, data));
+}
+
+function concat (...arrays) {
+    const result = new Uint8Array(arrays.reduce((length, a) => length + a.length, 0));
+    let offset = 0;
+    for (const a of arrays) {
+        result.set(a, offset);
+        offset += a.length;
+    }
+    return result;
+}
+
+export function randomBytes (length) {
+    const stream = Gio.File.new_for_path('/dev/urandom').read(null);
+    try {
+        return stream.read_bytes(length, null).get_data();
+    } finally {
+        stream.close(null);
+    }
+}
+
+// Resolves from an idle callback, so a long computation lets the shell redraw in between
+function yieldToMainLoop () {
+    return new Promise(resolve => {
+        GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            resolve();
+            return GLib.SOURCE_REMOVE;
+        });
+    });
+}
+
+function startsWith (bytes, prefix) {
+    return prefix.every((byte, i) => bytes[i] === byte);
+}
+
+function readWordsLE (bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return Uint32Array.from({ length: bytes.length / 4 }, (_, i) => view.getUint32(i * 4, true));
+}
+
+function rotl (value, shift) {
+    return (value << shift) | (value >>> (32 - shift));
+}
+
+function quarterRound (x, a, b, c, d) {
+    x[a] = (x[a] + x[b]) | 0; x[d] = rotl(x[d] ^ x[a], 16);
+    x[c] = (x[c] + x[d]) | 0; x[b] = rotl(x[b] ^ x[c], 12);
+    x[a] = (x[a] + x[b]) | 0; x[d] = rotl(x[d] ^ x[a], 8);
+    x[c] = (x[c] + x[d]) | 0; x[b] = rotl(x[b] ^ x[c], 7);
+}
+
+// ChaCha20 block function (RFC 8439): writes the keystream block of state into output
+function chachaBlock (state, working, output) {
+    working.set(state);
+    for (let i = 0; i < 10; i++) {
+        quarterRound(working, 0, 4, 8, 12);
+        quarterRound(working, 1, 5, 9, 13);
+        quarterRound(working, 2, 6, 10, 14);
+        quarterRound(working, 3, 7, 11, 15);
+        quarterRound(working, 0, 5, 10, 15);
+        quarterRound(working, 1, 6, 11, 12);
+        quarterRound(working, 2, 7, 8, 13);
+        quarterRound(working, 3, 4, 9, 14);
+    }
+    for (let i = 0; i < 16; i++) {
+        output[i] = working[i] + state[i];
+    }
+}
+
+/* ChaCha20 (RFC 8439) for the keystream, HMAC-SHA256 over the header and the
+ciphertext for authentication (encrypt-then-MAC). Separate subkeys are derived
+from the keyring key for each purpose. Large data is processed in chunks, so
+encrypting an image doesn't block the shell. */
+export class CacheCipher {
+    #encKey;
+    #macKey;
+    #keyId;
+
+    constructor (key) {
+        const encoder = new TextEncoder();
+        this.#encKey = readWordsLE(hmac(key, encoder.encode('chacha20')));
+        this.#macKey = hmac(key, encoder.encode('authentication'));
+        this.#keyId = GLib.compute_checksum_for_data(GLib.ChecksumType.SHA256,
+            hmac(key, encoder.encode('key-id'))).slice(0, 16);
+    }
+
+    // Fingerprint of the key, safe to store next to the data
+    get keyId () {
+        return this.#keyId;
+    }
+
+    static isEncrypted (bytes) {
+        return bytes.length >= MAGIC.length + NONCE_LENGTH + TAG_LENGTH && startsWith(bytes, MAGIC);
+    }
+
+    async #chacha20 (nonce, data) {
+        const output = new Uint8Array(data.length);
+        const state = new Uint32Array([
+            0x61707865, 0x3320646e, 0x79622d32, 0x6b206574,
+            ...this.#encKey, 1, ...readWordsLE(nonce)
+        ]);
+        const working = new Uint32Array(16);
+        const keystream = new Uint32Array(16);
+
+        for (let offset = 0; offset < data.length; offset += 64) {
+            if (offset && offset % CHUNK_LENGTH === 0) await yieldToMainLoop();
+
+            chachaBlock(state, working, keystream);
+            state[12]++;
+
+            const end = Math.min(offset + 64, data.length);
+            for (let i = offset; i < end; i++) {
+                const word = keystream[(i - offset) >> 2];
+                output[i] = data[i] ^ (word >>> (((i - offset) & 3) * 8));
+            }
+        }
+        return output;
+    }
+
+    async #authenticate (header, ciphertext) {
+        const mac = GLib.Hmac.new(GLib.ChecksumType.SHA256, this.#macKey);
+        mac.update(header);
+        for (let offset = 0; offset < ciphertext.length; offset += CHUNK_LENGTH) {
+            if (offset) await yieldToMainLoop();
+            mac.update(ciphertext.subarray(offset, offset + CHUNK_LENGTH));
+        }
+        return hexToBytes(mac.get_string());
+    }
+
+    async encrypt (bytes) {
+        const nonce = randomBytes(NONCE_LENGTH);
+        const header = concat(MAGIC, nonce);
+        const ciphertext = await this.#chacha20(nonce, bytes);
+        return concat(header, ciphertext, await this.#authenticate(header, ciphertext));
+    }
+
+    async decrypt (bytes) {
+        if (!CacheCipher.isEncrypted(bytes)) {
+            throw new Error('Data is not encrypted');
+        }
+
+        const headerLength = MAGIC.length + NONCE_LENGTH;
+        const header = bytes.slice(0, headerLength);
+        const ciphertext = bytes.slice(headerLength, bytes.length - TAG_LENGTH);
+        const tag = bytes.slice(bytes.length - TAG_LENGTH);
+        const expected = await this.#authenticate(header, ciphertext);
+
+        let difference = 0;
+        for (let i = 0; i < TAG_LENGTH; i++) {
+            difference |= tag[i] ^ expected[i];
+        }
+        if (difference !== 0) {
+            throw new Error('Encrypted data failed authentication');
+        }
+
+        return this.#chacha20(header.slice(MAGIC.length), ciphertext);
+    }
+}
+
+// libsecret is loaded lazily, it is only needed when encryption is enabled
+async function loadSecret () {
+    const { default: Secret } = await import('gi://Secret');
+    const schema = new Secret.Schema(
+        'org.gnome.shell.extensions.clipboard-indicator',
+        Secret.SchemaFlags.NONE,
+        { purpose: Secret.SchemaAttributeType.STRING }
+    );
+    return { Secret, schema };
+}
+
+function lookupKey ({ Secret, schema }) {
+    return new Promise((resolve, reject) => {
+        Secret.password_lookup(schema, KEY_ATTRIBUTES, null, (source, result) => {
+            try {
+                resolve(Secret.password_lookup_finish(result));
+            } catch (e) {
+                reject(e);
+            }
+        });
+    });
+}
+
+function storeKey ({ Secret, schema }, encodedKey) {
+    return new Promise((resolve, reject) => {
+        Secret.password_store(schema, KEY_ATTRIBUTES, Secret.COLLECTION_DEFAULT,
+            'Clipboard Indicator cache key', encodedKey, null, (source, result) => {
+                try {
+                    resolve(Secret.password_store_finish(result));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+    });
+}
+
+/**
+ * Fetches the cache key from the Secret Service, creating it on first use.
+ * A new key is only generated when allowCreate is true, so that a keyring that
+ * is locked (or a dismissed unlock prompt) never replaces the key existing
+ * data was encrypted with. Throws KeyringLockedError when no key is available.
+ */
+export async function loadCacheCipher (allowCreate) {
+    let secret, encodedKey;
+    try {
+        secret = await loadSecret();
+        encodedKey = await lookupKey(secret);
+    } catch (e) {
+        throw new KeyringLockedError(`Failed to access the keyring: ${e.message}`);
+    }
+
+    if (encodedKey) {
+        return new CacheCipher(GLib.base64_decode(encodedKey));
+    }
+
+    if (!allowCreate) {
+        throw new KeyringLockedError('The cache key is not available, the keyring may be locked');
+    }
+
+    const key = randomBytes(KEY_LENGTH);
+    try {
+        await storeKey(secret, GLib.base64_encode(key));
+    } catch (e) {
+        throw new KeyringLockedError(`Failed to store the cache key: ${e.message}`);
+    }
+    return new CacheCipher(key);
+}
@@ -4,8 +4,10 @@ import Meta from 'gi://Meta';
 import Shell from 'gi://Shell';
 import St from 'gi://St';
 import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
 
 import * as AnimationUtils from 'resource:///org/gnome/shell/misc/animationUtils.js';
+import * as BoxPointer from 'resource:///org/gnome/shell/ui/boxpointer.js';
 import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
@@ -16,15 +18,62 @@ import { Registry, ClipboardEntry } from './registry.js';
 import { DialogManager } from './confirmDialog.js';
 import { PrefsFields } from './constants.js';
 import { Keyboard } from './keyboard.js';
+import { setSelectionFormats } from './selection.js';
+import { EntryPreview } from './preview.js';
+import {
+    filterWorkspaceSettings, getExportDir, getNewExportPath, isValidWorkspaceName, listExports, resolveDataDir
+} from './storage.js';
+import { getWorkspaceRulesFile, loadWorkspaceRules, findWorkspaceRule } from './workspaceRules.js';
+import { parseQuery, isEmptyQuery, matchEntry, highlightPositions, highlightMarkup } from './search.js';
+import { SensitiveActions, findSensitiveRules, getStrictestAction, maskText } from './sensitive.js';
+import { expandSnippet, getInputLabels, hasPlaceholders } from './snippets.js';
+import { TextTransforms, getTextTransform } from './transforms.js';
+import { NormalizationSteps, normalizeText } from './normalize.js';
 
 const CLIPBOARD_TYPE = St.ClipboardType.CLIPBOARD;
+const PRIMARY_TYPE = St.ClipboardType.PRIMARY;
 
 const INDICATOR_ICON = 'edit-paste-symbolic';
 
+const EXPIRY_SWEEP_INTERVAL = 30; // seconds
+const PREVIEW_HOVER_DELAY = 600; // ms
+const WORKSPACE_RULE_DELAY = 300; // ms, focus changes in quick succession switch only once
+const MAX_LISTED_EXPORTS = 10;
+
+// Transforms of text pasted with modifiers held, the first matching mask wins
+const MODIFIER_TRANSFORMS = [
+    [Clutter.ModifierType.CONTROL_MASK | Clutter.ModifierType.SHIFT_MASK, 'fence'],
+    [Clutter.ModifierType.CONTROL_MASK, 'trim'],
+    [Clutter.ModifierType.SHIFT_MASK, 'plain']
+];
+
+// Formats stored alongside the main content of an entry and offered again on restore
+const EXTRA_FORMATS = [
+    'text/html',
+    'text/rtf',
+    'application/rtf',
+    'text/richtext',
+    'text/uri-list'
+];
+
+// File managers also offer the paths as plain text, restored with file entries
+const FILE_TEXT_FORMATS = [
+    'text/plain;charset=utf-8',
+    'text/plain',
+    'UTF8_STRING'
+];
+
+// Offered by password managers (KeePassXC, KDE apps) to flag secret content
+const PASSWORD_MANAGER_HINTS = [
+    'x-kde-passwordManagerHint',
+    'application/x-kde-passwordManagerHint'
+];
+
 let DELAYED_SELECTION_TIMEOUT = 750;
 let MAX_REGISTRY_LENGTH       = 15;
 let MAX_ENTRY_LENGTH          = 50;
 let CACHE_ONLY_FAVORITE       = false;
+let MEMORY_ONLY               = false;
 let DELETE_ENABLED            = true;
 let MOVE_ITEM_FIRST           = false;
 let ENABLE_KEYBINDING         = true;
@@ -35,10 +84,24 @@ let MAX_TOPBAR_LENGTH         = 15;
 let TOPBAR_DISPLAY_MODE       = 1; //0 - only icon, 1 - only clipboard content, 2 - both, 3 - neither
 let CLEAR_ON_BOOT             = false;
 let DISABLE_DOWN_ARROW        = false;
-let STRIP_TEXT                = false;
+let TEXT_NORMALIZATION        = []; // setting keys of the enabled normalization steps
 let KEEP_SELECTED_ON_CLEAR    = false;
 let PASTE_BUTTON              = true;
 let PINNED_ON_BOTTOM          = false;
+let TRACK_PRIMARY             = false;
+let MAX_PRIMARY_LENGTH        = 15;
+let SHOW_ENTRY_METADATA       = true;
+let EXCLUDED_APPS             = [];
+let SENSITIVE_RULES           = {};
+let SENSITIVE_PATTERNS        = [];
+let SENSITIVE_EXPIRY          = 5; // minutes
+let MAX_ENTRY_AGE             = 0; // ms, 0 - unlimited
+let ENCRYPT_CACHE             = false;
+let MAX_IMAGES                = 20;
+let MAX_IMAGES_SIZE           = 100; // MB, 0 - unlimited
+let MAX_IMAGE_SIZE            = 20; // MB, 0 - unlimited
+let BIND_TO_DESKTOPS          = false;
+let EXPAND_SNIPPETS           = false;
 let cacheLock = false;
 
 export default class ClipboardIndicatorExtension extends Extension {
@@ -62,7 +125,20 @@ export default class ClipboardIndicatorExtension extends Extension {
 const ClipboardIndicator = GObject.registerClass({
     GTypeName: 'ClipboardIndicator'
 }, class ClipboardIndicator extends PanelMenu.Button {
-    #refreshInProgress = false;
+    #refreshInProgress = new Set();
+    #globalSearchActive = false;
+    #globalEntries = null; // workspace -> entries, loaded once per global search
+    #globalSearchId = 0;
+    #workspaceRules = [];
+    #rulesMonitor = null;
+    #focusWindow = null;
+    #focusWindowTitleId = 0;
+    #focusWindowId = 0;
+    #workspaceRuleTimeoutId = 0;
+    #desktopChangedId = 0;
+    #itemMenu = null; // { menu, manager } of the open "paste as" and "move or copy to" menu
+    #pasteInProgress = false; // the clipboard holds a value set only to paste it
+    #memoryHistories = new Map(); // workspace -> entries of the inactive memory-only workspaces
 
     destroy () {
         this._disconnectSettings();
@@ -70,8 +146,13 @@ const ClipboardIndicator = GObject.registerClass({
         this._disconnectSelectionListener();
         this._clearDelayedSelectionTimeout();
         this.#clearTimeouts();
+        this.#stopExpirySweep();
+        this.#stopWorkspaceRules();
+        this.#unbindDesktops();
+        this.#destroyItemMenu();
         this.dialogManager.destroy();
         this.keyboard.destroy();
+        this.preview.destroy();
 
         if (this._keyPressEventId) {
             global.stage.disconnect(this._keyPressEventId);
@@ -92,13 +173,22 @@ const ClipboardIndicator = GObject.registerClass({
             console.error('Failed to load workspace config');
             this.workspaces = ['Workspace1', 'Workspace2', 'Workspace3'];
             this.activeWorkspace = 'Workspace1';
+            this.defaultWorkspace = null;
+            this.workspaceSettings = {};
         } else {
             this.workspaces = config.workspaces;
-            this.activeWorkspace = config.activeWorkspace;
+            this.defaultWorkspace = config.defaultWorkspace ?? null;
+            // Настройки, переопределённые для отдельных workspace'ов
+            this.workspaceSettings = config.settings ?? {};
+            // При запуске открываем workspace по умолчанию, если он выбран
+            this.activeWorkspace = this.defaultWorkspace ?? config.activeWorkspace;
         }
         
         this.keyboard = new Keyboard();
+        this.preview = new EntryPreview();
         this._settingsChangedId = null;
+        this._storageRequestId = null;
+        this._storagePathId = null;
         this._selectionOwnerChangedId = null;
         this._historyLabel = null;
         this._buttonText = null;
@@ -139,9 +229,17 @@ const ClipboardIndicator = GObject.registerClass({
         if (CLEAR_ON_BOOT) this.registry.clearCacheFolder();
 
         this.dialogManager = new DialogManager();
-        this._buildMenu().then(() => {
+        this.registry.loadEncryption().then(unlocked => {
+            if (!unlocked) this.#notifyCacheLocked();
+            return this._buildMenu();
+        }).then(() => {
             this._updateTopbarLayout();
             this._setupListener();
+            this.#startExpirySweep();
+            this.#startWorkspaceRules();
+            this.#updateDesktopBinding();
+            // Pinned entries moved out of the cache directory, carry over the existing ones
+            return this.registry.migratePinnedEntries(this.workspaces);
         });
     }
 
@@ -154,8 +252,8 @@ const ClipboardIndicator = GObject.registerClass({
             this._buttonImgPreview.destroy_all_children();
             this._buttonText.set_text("...")
         } else {
-            if (entry.isText()) {
-                this._buttonText.set_text(this._truncate(entry.getStringValue(), MAX_TOPBAR_LENGTH));
+            if (entry.isText() || entry.isFiles()) {
+                this._buttonText.set_text(this._truncate(this._getDisplayText(entry), MAX_TOPBAR_LENGTH));
                 this._buttonImgPreview.destroy_all_children();
             }
             else if (entry.isImage()) {
@@ -195,7 +293,7 @@ const ClipboardIndicator = GObject.registerClass({
                 name: 'searchEntry',
                 style_class: 'search-entry',
                 can_focus: true,
-                hint_text: _('Type here to search...'),
+                hint_text: _('Search, e.g. "grp cfg", /regex/, is:image, app:firefox'),
                 track_hover: true,
                 x_expand: true,
                 y_expand: true,
@@ -209,6 +307,21 @@ const ClipboardIndicator = GObject.registerClass({
 
             that._entryItem.add_child(that.searchEntry);
 
+            // Searches the other workspaces as well (Ctrl+G)
+            that.globalSearchButton = new St.Button({
+                style_class: 'ci-action-btn ci-global-search-btn',
+                can_focus: true,
+                toggle_mode: true,
+                child: new St.Icon({
+                    icon_name: 'folder-saved-search-symbolic',
+                    style_class: 'system-status-icon'
+                }),
+                y_align: Clutter.ActorAlign.CENTER
+            });
+            that.globalSearchButton.connect('notify::checked',
+                () => this.#setGlobalSearch(that.globalSearchButton.checked));
+            that._entryItem.add_child(that.globalSearchButton);
+
             that.menu.connect('open-state-changed', (self, open) => {
                 if (open) {
                     // Добавляем обработчик клавиш при открытии меню
@@ -225,11 +338,22 @@ const ClipboardIndicator = GObject.registerClass({
                                 case Clutter.KEY_bracketright: // Ctrl + ]
                                     this._switchToNextWorkspace();
                                     return Clutter.EVENT_STOP;
+                                case Clutter.KEY_g: // Ctrl + G
+                                    this.globalSearchButton.checked = !this.globalSearchButton.checked;
+                                    return Clutter.EVENT_STOP;
                             }
                         }
                         return Clutter.EVENT_PROPAGATE;
                     });
 
+                    // Relative copy times go stale while the menu is closed, copied files may be gone
+                    this._getAllIMenuItems().forEach(mItem => {
+                        if (mItem.entry.isFiles())
+                            this._setEntryLabel(mItem);
+                        else
+                            this._setEntryMetadata(mItem);
+                    });
+
                     // Существующий код фокуса
                     if (this.clipItemsRadioGroup.length > 0) {
                         that.searchEntry.set_text('');
@@ -238,6 +362,9 @@ const ClipboardIndicator = GObject.registerClass({
                         global.stage.set_key_focus(that.privateModeMenuItem);
                     }
                 } else {
+                    this.#hidePreview();
+                    this.globalSearchButton.checked = false;
+
                     // Отключаем обработчик при закрытии меню
                     if (this._keyPressEventId) {
                         global.stage.disconnect(this._keyPressEventId);
@@ -247,270 +374,15 @@ const ClipboardIndicator = GObject.registerClass({
             }, 50);
 
             // Add workspace buttons container
-            const workspaceButtonsBox = new St.BoxLayout({
+            this.workspaceButtonsBox = new St.BoxLayout({
                 style_class: 'workspace-buttons-container',
                 x_expand: true,
                 x_align: Clutter.ActorAlign.FILL
             });
             
-            // Create workspace buttons for each saved workspace
-            for (let workspaceName of this.workspaces) {
-                const buttonContent = new St.BoxLayout({
-                    style_class: 'workspace-button-content'
-                });
-                
-                const label = new St.Label({
-                    text: workspaceName,
-                    y_align: Clutter.ActorAlign.CENTER
-                });
-                
-                // Добвляем кнопку редактирования
-                const editIcon = new St.Icon({
-                    icon_name: 'document-edit-symbolic',
-                    style_class: 'workspace-edit-icon',
-                    icon_size: 14
-                });
-                
-                const editButton = new St.Button({
-                    style_class: 'workspace-edit-button',
-                    child: editIcon
-                });
-                
-                const deleteIcon = new St.Icon({
-                    icon_name: 'window-close-symbolic',
-                    style_class: 'workspace-delete-icon',
-                    icon_size: 14
-                });
-                
-                const deleteButton = new St.Button({
-                    style_class: 'workspace-delete-button',
-                    child: deleteIcon
-                });
-                
-                const button = new St.Button({
-                    style_class: 'workspace-button',
-                    x_expand: true
-                });
-                
-                buttonContent.add_child(label);
-                buttonContent.add_child(editButton);
-                buttonContent.add_child(deleteButton);
-                button.set_child(buttonContent);
-                
-                // Добавляем обработчик для кнопки редактирования
-                editButton.connect('clicked', () => {
-                    // Сохраняем старое имя
-                    const oldName = workspaceName;
-                    
-                    // Удаляем label и добавляем поле ввода
-                    buttonContent.remove_child(label);
-                    const entry = new St.Entry({
-                        style_class: 'workspace-name-entry',
-                        text: workspaceName,
-                        can_focus: true
-                    });
-                    buttonContent.insert_child_at_index(entry, 0);
-                    
-                    // Скрываем кнопки редактирования и удаления во время редактирования
-                    editButton.hide();
-                    deleteButton.hide();
-                    
-                    // Устанавливаем фокус на поле ввода
-                    global.stage.set_key_focus(entry);
-                    
-                    // Обработчик завершения редактирования
-                    entry.clutter_text.connect('activate', async () => {
-                        const newName = entry.get_text().trim();
-                        if (newName && newName !== oldName) {
-                            // Обновляем имя в массиве
-                            const index = this.workspaces.indexOf(oldName);
-                            if (index !== -1) {
-                                // Пробуем переименовать workspace в registry
-                                if (await this.registry.renameWorkspace(oldName, newName)) {
-                                    this.workspaces[index] = newName;
-                                    
-                                    // Если редактируем активный workspace, обновляем его имя
-                                    if (this.activeWorkspace === oldName) {
-                                        this.activeWorkspace = newName;
-                                        
-                                        // Очищаем текущие элементы меню
-                                        this.historySection._getMenuItems().forEach(item => item.destroy());
-                                        this.favoritesSection._getMenuItems().forEach(item => item.destroy());
-                                        this.clipItemsRadioGroup = [];
-                                        
-                                        // Загружаем данные переименованного workspace
-                                        const clipHistory = await this._getCache();
-                                        clipHistory.forEach(entry => this._addEntry(entry));
-                                        if (clipHistory.length > 0) {
-                                            this._selectMenuItem(this.clipItemsRadioGroup[clipHistory.length - 1]);
-                                        }
-                                    }
-                                    
-                                    // Сохраняем конфигурацию
-                                    this._saveWorkspacesConfig();
-                                    
-                                    // Обновляем label
-                                    label.set_text(newName);
-                                } else {
-                                    // Если произошла ошибка при переименовании, показываем уведомление
-                                    this._showNotification(_("Failed to rename workspace"));
-                                }
-                            }
-                        }
-                        
-                        // Возвращаем label и кнопки обратно
-                        buttonContent.remove_child(entry);
-                        buttonContent.insert_child_at_index(label, 0);
-                        editButton.show();
-                        deleteButton.show();
-                    });
-                    
-                    // Обработчик отмены редактирования (Esc)
-                    entry.clutter_text.connect('key-press-event', (actor, event) => {
-                        if (event.get_key_symbol() === Clutter.KEY_Escape) {
-                            buttonContent.remove_child(entry);
-                            buttonContent.insert_child_at_index(label, 0);
-                            editButton.show();
-                            deleteButton.show();
-                            return Clutter.EVENT_STOP;
-                        }
-                        return Clutter.EVENT_PROPAGATE;
-                    });
-                });
-                
-                // Добавляем обработчик клика для кнопки workspace
-                button.connect('clicked', () => {
-                    // Получаем актуальное имя из текста label
-                    const currentName = label.get_text();
-                    this._switchWorkspace(currentName);
-                    workspaceButtonsBox.get_children().forEach(child => {
-                        child.remove_style_pseudo_class('active');
-                    });
-                    button.add_style_pseudo_class('active');
-                });
-                
-                // Если это активный workspace, выделяем его
-                if (workspaceName === this.activeWorkspace) {
-                    button.add_style_pseudo_class('active');
-                }
-                
-                deleteButton.connect('clicked', () => {
-                    if (this.workspaces.length > 1) {
-                        // Получаем актуальное имя из текста label
-                        const currentName = label.get_text();
-                        const idx = this.workspaces.indexOf(currentName);
-                        this.workspaces.splice(idx, 1);
-                        workspaceButtonsBox.remove_child(button);
-                        
-                        // Очищаем данные удаляемого workspace
-                        this.registry.clearWorkspace(currentName);
-                        
-                        // Если удаляем активный workspace, переключимся на другой
-                        if (this.activeWorkspace === currentName) {
-                            this._switchWorkspace(this.workspaces[0]);
-                        }
-                        
-                        // Сохраняем конфигурацию
-                        this._saveWorkspacesConfig();
-                    }
-                });
-                
-                workspaceButtonsBox.add_child(button);
-            }
-            
-            // Add "+" button
-            const addIcon = new St.Icon({
-                icon_name: 'list-add-symbolic',
-                style_class: 'workspace-add-icon',
-                icon_size: 16
-            });
-            
-            const addButton = new St.Button({
-                style_class: 'workspace-add-button',
-                child: addIcon
-            });
-            
-            addButton.connect('clicked', () => {
-                // Create new workspace button with entry
-                const buttonContent = new St.BoxLayout({
-                    style_class: 'workspace-button-content'
-                });
-                
-                const entry = new St.Entry({
-                    style_class: 'workspace-name-entry',
-                    hint_text: 'Enter name...',
-                    can_focus: true
-                });
-                
-                const deleteIcon = new St.Icon({
-                    icon_name: 'window-close-symbolic',
-                    style_class: 'workspace-delete-icon',
-                    icon_size: 14
-                });
-                
-                const deleteButton = new St.Button({
-                    style_class: 'workspace-delete-button',
-                    child: deleteIcon
-                });
-                
-                const button = new St.Button({
-                    style_class: 'workspace-button',
-                    x_expand: true
-                });
-                
-                buttonContent.add_child(entry);
-                buttonContent.add_child(deleteButton);
-                button.set_child(buttonContent);
-                
-                deleteButton.connect('clicked', () => {
-                    workspaceButtonsBox.remove_child(button);
-                });
-                
-                entry.clutter_text.connect('activate', () => {
-                    const name = entry.get_text();
-                    if (name) {
-                        buttonContent.remove_child(entry);
-                        const label = new St.Label({
-                            text: name,
-                            y_align: Clutter.ActorAlign.CENTER
-                        });
-                        buttonContent.insert_child_at_index(label, 0);
-                        
-                        // Добавляем новый workspace в писок
-                        this.workspaces.push(name);
-                        
-                        // Добавляем обработчик клика
-                        button.connect('clicked', () => {
-                            this._switchWorkspace(name);
-                            // Добавим визуальное выделение активного workspace
-                            workspaceButtonsBox.get_children().forEach(child => {
-                                child.remove_style_pseudo_class('active');
-                            });
-                            button.add_style_pseudo_class('active');
-                        });
-                        
-                        // Сохраняем конфигурацию
-                        this._saveWorkspacesConfig();
-                        
-                        // Автоматически переключаемся на новый workspace
-                        this._switchWorkspace(name);
-                        workspaceButtonsBox.get_children().forEach(child => {
-                            child.remove_style_pseudo_class('active');
-                        });
-                        button.add_style_pseudo_class('active');
-                    }
-                });
-                
-                // Вствляем новую кнопку перед кнопкой добавления
-                const addButtonIndex = workspaceButtonsBox.get_children().indexOf(addButton);
-                workspaceButtonsBox.insert_child_at_index(button, addButtonIndex);
-                
-                global.stage.set_key_focus(entry);
-            });
-            
-            workspaceButtonsBox.add_child(addButton);
+            this._fillWorkspaceButtons();
             
-            this.menu.box.add_child(workspaceButtonsBox);
+            this.menu.box.add_child(this.workspaceButtonsBox);
 
             // Create menu sections for items
             // Favorites
@@ -541,6 +413,19 @@ const ClipboardIndicator = GObject.registerClass({
             // Add separator
             this.historySeparator = new PopupMenu.PopupSeparatorMenuItem();
 
+            // Primary selection
+            that.primarySection = new PopupMenu.PopupMenuSection();
+
+            that.scrollViewPrimaryMenuSection = new PopupMenu.PopupMenuSection();
+            this.primaryScrollView = new St.ScrollView({
+                style_class: 'ci-history-menu-section',
+                overlay_scrollbars: true
+            });
+            this.primaryScrollView.add_child(that.primarySection.actor);
+
+            that.scrollViewPrimaryMenuSection.actor.add_child(this.primaryScrollView);
+            this.primarySeparator = new PopupMenu.PopupSeparatorMenuItem(_('Primary selection'));
+
             // Add sections ordered according to settings
             if (PINNED_ON_BOTTOM) {
                 that.menu.addMenuItem(that.scrollViewMenuSection);
@@ -550,6 +435,21 @@ const ClipboardIndicator = GObject.registerClass({
                 that.menu.addMenuItem(that.scrollViewFavoritesMenuSection);
                 that.menu.addMenuItem(that.scrollViewMenuSection);
             }
+            that.menu.addMenuItem(that.scrollViewPrimaryMenuSection);
+
+            // Global search results from the other workspaces
+            that.globalSection = new PopupMenu.PopupMenuSection();
+
+            that.scrollViewGlobalMenuSection = new PopupMenu.PopupMenuSection();
+            this.globalScrollView = new St.ScrollView({
+                style_class: 'ci-history-menu-section',
+                overlay_scrollbars: true
+            });
+            this.globalScrollView.add_child(that.globalSection.actor);
+
+            that.scrollViewGlobalMenuSection.actor.add_child(this.globalScrollView);
+            that.scrollViewGlobalMenuSection.actor.visible = false;
+            that.menu.addMenuItem(that.scrollViewGlobalMenuSection);
 
             // Private mode switch
             that.privateModeMenuItem = new PopupMenu.PopupSwitchMenuItem(
@@ -578,6 +478,14 @@ const ClipboardIndicator = GObject.registerClass({
             );
             this.clearMenuItem.connect('activate', that._removeAll.bind(that));
 
+            // Export and import of the history, filled when opened
+            this.exportMenuItem = new PopupMenu.PopupSubMenuMenuItem(_('Export and import'), true);
+            this.exportMenuItem.icon.icon_name = 'document-save-symbolic';
+            this.exportMenuItem.menu.connect('open-state-changed', (self, open) => {
+                if (open) this.#fillExportMenu();
+            });
+            that.menu.addMenuItem(this.exportMenuItem);
+
             // Add 'Settings' menu item to open settings
             this.settingsMenuItem = new PopupMenu.PopupMenuItem(_('Settings'));
             this.settingsMenuItem.insert_child_at_index(
@@ -612,6 +520,7 @@ const ClipboardIndicator = GObject.registerClass({
             if (lastIdx >= 0) {
                 that._selectMenuItem(clipItemsArr[lastIdx]);
             }
+            this._removeOldestImages();
 
             this.#showElements();
         } catch (e) {
@@ -623,6 +532,7 @@ const ClipboardIndicator = GObject.registerClass({
         if (this.menu.box.contains(this._entryItem)) this.menu.box.remove_child(this._entryItem);
         if (this.menu.box.contains(this.favoritesSeparator)) this.menu.box.remove_child(this.favoritesSeparator);
         if (this.menu.box.contains(this.historySeparator)) this.menu.box.remove_child(this.historySeparator);
+        if (this.menu.box.contains(this.primarySeparator)) this.menu.box.remove_child(this.primarySeparator);
         if (this.menu.box.contains(this.clearMenuItem)) this.menu.box.remove_child(this.clearMenuItem);
         if (this.menu.box.contains(this.emptyStateSection)) this.menu.box.remove_child(this.emptyStateSection);
     }
@@ -656,6 +566,17 @@ const ClipboardIndicator = GObject.registerClass({
             else if (this.menu.box.contains(this.historySeparator) === true) {
                 this.menu.box.remove_child(this.historySeparator);
             }
+
+            const showPrimary = TRACK_PRIMARY && this.primarySection._getMenuItems().length > 0;
+            this.scrollViewPrimaryMenuSection.actor.visible = showPrimary && !PRIVATEMODE;
+            if (showPrimary) {
+                if (this.menu.box.contains(this.primarySeparator) === false) {
+                    this.menu.box.insert_child_below(this.primarySeparator, this.scrollViewPrimaryMenuSection.actor);
+                }
+            }
+            else if (this.menu.box.contains(this.primarySeparator) === true) {
+                this.menu.box.remove_child(this.primarySeparator);
+            }
         }
         else if (this.menu.box.contains(this.emptyStateSection) === false) {
             this.#renderEmptyState();
@@ -673,20 +594,226 @@ const ClipboardIndicator = GObject.registerClass({
     items. It the entry is empty, the section is restored with all items
     set as visible. */
     _onSearchTextChanged () {
-        let searchedText = this.searchEntry.get_text().toLowerCase();
+        const query = parseQuery(this.searchEntry.get_text());
+        const items = this._getAllIMenuItems();
 
-        if(searchedText === '') {
-            this._getAllIMenuItems().forEach(function(mItem){
+        if (query.error)
+            this.searchEntry.add_style_class_name('ci-search-error');
+        else
+            this.searchEntry.remove_style_class_name('ci-search-error');
+
+        if (isEmptyQuery(query)) {
+            items.forEach(mItem => {
                 mItem.actor.visible = true;
+                this.#clearHighlight(mItem);
             });
+            this.#sortMenuItems(() => 0);
+            this.#updateGlobalResults(query);
+            return;
         }
-        else {
-            this._getAllIMenuItems().forEach(function(mItem){
-                let text = mItem.clipContents.toLowerCase();
-                let isMatching = text.indexOf(searchedText) >= 0;
-                mItem.actor.visible = isMatching
+
+        const scores = new Map();
+        for (const mItem of items) {
+            const match = matchEntry(query, this.#getSearchable(mItem.entry, this.activeWorkspace));
+            mItem.actor.visible = match !== null;
+            if (match) {
+                scores.set(mItem, match.score);
+                this.#highlightLabel(mItem, query);
+            } else {
+                this.#clearHighlight(mItem);
+            }
+        }
+        this.#sortMenuItems((a, b) => (scores.get(b) ?? -Infinity) - (scores.get(a) ?? -Infinity));
+        this.#updateGlobalResults(query);
+    }
+
+    #setGlobalSearch (active) {
+        this.#globalSearchActive = active;
+        this.#globalEntries = null;
+        if (active)
+            this.searchEntry.add_style_class_name('ci-global-search');
+        else
+            this.searchEntry.remove_style_class_name('ci-global-search');
+        this._onSearchTextChanged();
+    }
+
+    async #loadGlobalEntries () {
+        if (this.#globalEntries) return this.#globalEntries;
+
+        const entries = new Map();
+        for (const workspace of this.workspaces) {
+            if (workspace === this.activeWorkspace) continue;
+            try {
+                const kept = this.#isMemoryOnly(workspace) && this.#memoryHistories.get(workspace);
+                entries.set(workspace, kept ? [...kept] : await this.registry.read(workspace));
+            } catch (e) {
+                console.error(`Failed to read workspace ${workspace}:`, e);
+            }
+        }
+        this.#globalEntries = entries;
+        return entries;
+    }
+
+    /* The current workspace is filtered in place, matches from the other
+    workspaces are listed below it, grouped by workspace */
+    async #updateGlobalResults (query) {
+        const searchId = ++this.#globalSearchId;
+        this.globalSection.removeAll();
+        this.scrollViewGlobalMenuSection.actor.visible = false;
+        if (!this.#globalSearchActive || isEmptyQuery(query) || PRIVATEMODE) return;
+
+        const globalEntries = await this.#loadGlobalEntries();
+        // A newer search started while the workspaces were loading
+        if (searchId !== this.#globalSearchId) return;
+
+        for (const [workspace, entries] of globalEntries) {
+            const matches = entries
+                .map(entry => ({ entry, match: matchEntry(query, this.#getSearchable(entry, workspace)) }))
+                .filter(({ match }) => match !== null)
+                .sort((a, b) => b.match.score - a.match.score || b.entry.lastUsed - a.entry.lastUsed);
+            if (!matches.length) continue;
+
+            this.globalSection.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(workspace));
+            matches.forEach(({ entry }) => {
+                this.globalSection.addMenuItem(this.#createGlobalResultItem(entry, workspace, query));
             });
         }
+        this.scrollViewGlobalMenuSection.actor.visible = this.globalSection._getMenuItems().length > 0;
+    }
+
+    // Result from another workspace: activating copies it, the buttons paste it or move it here
+    #createGlobalResultItem (entry, workspace, query) {
+        const menuItem = new PopupMenu.PopupMenuItem('');
+        menuItem.entry = entry;
+
+        if (entry.isImage()) {
+            menuItem.label.set_text('[Image]');
+            menuItem.insert_child_below(new St.Icon({
+                gicon: Gio.BytesIcon.new(entry.asBytes()),
+                style_class: 'clipboard-menu-img-preview',
+                icon_size: 24
+            }), menuItem.label);
+        }
+        else {
+            menuItem.label.set_text(this._truncate(this._getDisplayText(entry), MAX_ENTRY_LENGTH));
+            this.#highlightLabel(menuItem, query);
+        }
+
+        menuItem.connect('activate', () => {
+            this.#markUsedInWorkspace(entry, workspace);
+            this.#updateClipboard(entry);
+        });
+
+        const pasteBtn = new St.Button({
+            style_class: 'ci-action-btn',
+            can_focus: true,
+            child: new St.Icon({
+                icon_name: 'edit-paste-symbolic',
+                style_class: 'system-status-icon'
+            }),
+            x_align: Clutter.ActorAlign.END,
+            x_expand: true,
+            y_expand: true
+        });
+        pasteBtn.connect('clicked', () => {
+            this.#markUsedInWorkspace(entry, workspace);
+            this.#pasteEntry(entry);
+        });
+        menuItem.actor.add_child(pasteBtn);
+
+        const moveBtn = new St.Button({
+            style_class: 'ci-action-btn',
+            can_focus: true,
+            child: new St.Icon({
+                icon_name: 'go-jump-symbolic',
+                style_class: 'system-status-icon'
+            }),
+            x_align: Clutter.ActorAlign.END,
+            x_expand: false,
+            y_expand: true
+        });
+        moveBtn.connect('clicked', () => this.#moveIntoActiveWorkspace(entry, workspace));
+        menuItem.actor.add_child(moveBtn);
+
+        return menuItem;
+    }
+
+    #markUsedInWorkspace (entry, workspace) {
+        entry.markUsed();
+        if (!this.#isMemoryOnly(workspace)) this.registry.updateEntry(entry, workspace);
+    }
+
+    /* The entry is written to the active workspace first and only leaves its
+    own one once that succeeded. An equal entry here is kept as is, the moved
+    one only leaves its workspace. */
+    async #moveIntoActiveWorkspace (entry, workspace) {
+        const workspaceName = this.activeWorkspace;
+        if (!this.clipItemsRadioGroup.some(menuItem => menuItem.entry.equals(entry))) {
+            // A memory-only workspace keeps it in the menu alone
+            if (!MEMORY_ONLY) {
+                if (this.registry.isLocked() || !this.#isCacheable(entry)) {
+                    this._showNotification(_("\"%s\" does not keep this entry on disk").format(workspaceName));
+                    return;
+                }
+                const evicted = await this.registry.addEntry(entry, workspaceName);
+                if (evicted === null) {
+                    this._showNotification(_("Failed to add the entry to \"%s\"").format(workspaceName));
+                    return;
+                }
+                this.#removeEvicted(evicted, workspaceName);
+            }
+            this._addEntry(entry, false);
+            this._removeOldestEntries();
+        }
+
+        await this.registry.removeEntry(entry, workspace);
+        const history = this.#memoryHistories.get(workspace);
+        if (history) this.#memoryHistories.set(workspace, history.filter(other => other !== entry));
+        const entries = this.#globalEntries?.get(workspace);
+        if (entries) this.#globalEntries.set(workspace, entries.filter(other => other !== entry));
+        this._onSearchTextChanged();
+    }
+
+    // What the search matches against; masked entries are only found by their masked text
+    #getSearchable (entry, workspace) {
+        const kinds = [];
+        if (entry.isImage()) kinds.push('image');
+        else if (entry.isFiles()) kinds.push('file');
+        else kinds.push('text');
+        if (entry.isFavorite()) kinds.push('pinned');
+        if (entry.isPrimary()) kinds.push('primary');
+        if (entry.isMasked()) kinds.push('masked');
+        if (entry.hasExtraFormats()) kinds.push('rich');
+
+        const { sourceApp } = entry;
+        return {
+            text: entry.isImage() ? '' : this._getDisplayText(entry),
+            kinds,
+            app: sourceApp ? [sourceApp.name, sourceApp.id, sourceApp.wmClass].filter(name => !!name).join(' ') : '',
+            workspace
+        };
+    }
+
+    #highlightLabel (menuItem, query) {
+        if (menuItem.entry.isImage()) return;
+        const text = menuItem.label.get_text();
+        menuItem.label.clutter_text.set_markup(highlightMarkup(text, highlightPositions(query, text)));
+    }
+
+    #clearHighlight (menuItem) {
+        if (menuItem.label.clutter_text.use_markup)
+            menuItem.label.set_text(menuItem.label.get_text());
+    }
+
+    /* Orders the items of each section by compare, most recent first among
+    equals, which is the order they have without a search */
+    #sortMenuItems (compare) {
+        const recency = item => this.clipItemsRadioGroup.indexOf(item);
+        for (const section of [this.historySection, this.favoritesSection, this.primarySection]) {
+            section._getMenuItems()
+                .sort((a, b) => compare(a, b) || recency(b) - recency(a))
+                .forEach((item, position) => section.moveMenuItem(item, position));
+        }
     }
 
     _truncate (string, length) {
@@ -699,21 +826,82 @@ const ClipboardIndicator = GObject.registerClass({
         return shortened;
     }
 
+    _formatRelativeTime (timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+        if (minutes < 1) return _('just now');
+        if (minutes < 60) return _('%d min ago').format(minutes);
+        if (minutes < 24 * 60) return _('%d h ago').format(Math.floor(minutes / 60));
+
+        return GLib.DateTime.new_from_unix_local(Math.floor(timestamp / 1000)).format('%x');
+    }
+
+    _setEntryMetadata (menuItem) {
+        const { entry } = menuItem;
+        const parts = [];
+
+        if (entry.sourceApp) {
+            parts.push(entry.sourceApp.name || entry.sourceApp.wmClass || entry.sourceApp.id);
+        }
+        parts.push(this._formatRelativeTime(entry.firstCopied));
+        if (entry.useCount > 0) {
+            parts.push(_('used %d×').format(entry.useCount));
+        }
+
+        menuItem.metaLabel.set_text(parts.join(' · '));
+        menuItem.metaLabel.visible = SHOW_ENTRY_METADATA;
+    }
+
+    _getDisplayText (entry) {
+        if (entry.isFiles()) {
+            const names = entry.getFiles().map(file => file.get_basename());
+            return names.length > 1
+                ? _('%d files: %s').format(names.length, names.join(', '))
+                : names[0];
+        }
+        return entry.isMasked() ? maskText(entry.getStringValue()) : entry.getStringValue();
+    }
+
+    #setPreviewIcon (menuItem, icon) {
+        icon.add_style_class_name('clipboard-menu-img-preview');
+        if (menuItem.previewImage) {
+            menuItem.remove_child(menuItem.previewImage);
+        }
+        menuItem.previewImage = icon;
+        menuItem.insert_child_below(icon, menuItem.labelBox);
+    }
+
+    // Thumbnail of the first file if there is one, its type icon otherwise
     _setEntryLabel (menuItem) {
         const { entry } = menuItem;
+        this._setEntryMetadata(menuItem);
         if (entry.isText()) {
-            menuItem.label.set_text(this._truncate(entry.getStringValue(), MAX_ENTRY_LENGTH));
+            menuItem.label.set_text(this._truncate(this._getDisplayText(entry), MAX_ENTRY_LENGTH));
+        }
+        else if (entry.isFiles()) {
+            const text = this._truncate(this._getDisplayText(entry), MAX_ENTRY_LENGTH);
+            menuItem.label.set_text(text);
+            entry.queryFiles().then(({ missing, gicon }) => {
+                const count = entry.getFileUris().length;
+                if (missing === count)
+                    menuItem.label.set_text(_('%s (missing)').format(text));
+                else if (missing > 0)
+                    menuItem.label.set_text(_('%s (%d missing)').format(text, missing));
+
+                if (missing > 0)
+                    menuItem.label.add_style_class_name('ci-entry-missing');
+                else
+                    menuItem.label.remove_style_class_name('ci-entry-missing');
+                this.#setPreviewIcon(menuItem, gicon
+                    ? new St.Icon({ gicon, icon_size: 24 })
+                    : new St.Icon({ icon_name: 'text-x-generic-symbolic', icon_size: 24 }));
+            });
         }
         else if (entry.isImage()) {
             menuItem.label.set_text('[Image]');
             this.registry.getEntryAsImage(entry, this.activeWorkspace).then(img => {
                 if (img) {
-                    img.add_style_class_name('clipboard-menu-img-preview');
-                    if (menuItem.previewImage) {
-                        menuItem.remove_child(menuItem.previewImage);
-                    }
-                    menuItem.previewImage = img;
-                    menuItem.insert_child_below(img, menuItem.label);
+                    this.#setPreviewIcon(menuItem, img);
                 }
             });
         }
@@ -755,24 +943,6 @@ const ClipboardIndicator = GObject.registerClass({
     }
 
     _addEntry (entry, autoSelect, autoSetClip) {
-        // Если это изображение и уже достигнут лимит, удалим самое старое изображение из истории
-        if (entry.isImage()) {
-            const imageEntries = this.clipItemsRadioGroup
-                .filter(item => item.entry.isImage())
-                .sort((a, b) => {
-                    // Сортируем по времени добавления (предполагаем, что более старые элементы находятся в начале массива)
-                    const indexA = this.clipItemsRadioGroup.indexOf(a);
-                    const indexB = this.clipItemsRadioGroup.indexOf(b);
-                    return indexA - indexB;
-                });
-
-            if (imageEntries.length >= this.registry.MAX_IMAGES_PER_WORKSPACE) {
-                // Удаляем самое старое изображение
-                const oldestImage = imageEntries[0];
-                this._removeEntry(oldestImage);
-            }
-        }
-
         let menuItem = new PopupMenu.PopupMenuItem('');
 
         menuItem.menu = this.menu;
@@ -793,9 +963,21 @@ const ClipboardIndicator = GObject.registerClass({
         menuItem.buttonPressId = menuItem.connect('activate',
             autoSet => this._onMenuItemSelectedAndMenuClose(menuItem, autoSet));
         menuItem.connect('key-focus-in', () => {
-            const viewToScroll = menuItem.entry.isFavorite() ?
-                this.favoritesScrollView : this.historyScrollView;
+            let viewToScroll = this.historyScrollView;
+            if (menuItem.entry.isFavorite())
+                viewToScroll = this.favoritesScrollView;
+            else if (menuItem.entry.isPrimary())
+                viewToScroll = this.primaryScrollView;
             AnimationUtils.ensureActorVisibleInScrollView(viewToScroll, menuItem);
+
+            // An open preview follows the keyboard focus
+            if (this.preview.menuItem)
+                this.#showPreview(menuItem);
+        });
+        menuItem.connect('notify::hover', () => this.#onItemHover(menuItem));
+        menuItem.connect('destroy', () => {
+            if (this.preview.menuItem === menuItem)
+                this.#hidePreview();
         });
         menuItem.actor.connect('key-press-event', (actor, event) => {
             if(event.get_key_symbol() === Clutter.KEY_Delete) {
@@ -806,10 +988,43 @@ const ClipboardIndicator = GObject.registerClass({
                 this.#selectNextMenuItem(menuItem);
                 this._favoriteToggle(menuItem);
             }
-            else if (event.get_key_symbol() === Clutter.KEY_v) {
-                this.#pasteItem(menuItem);
+            else if (event.get_key_symbol() === Clutter.KEY_v || event.get_key_symbol() === Clutter.KEY_V) {
+                this.#pasteWithModifiers(menuItem, event.get_state());
+            }
+            else if (event.get_key_symbol() === Clutter.KEY_s && TRACK_PRIMARY) {
+                this.#updateClipboard(menuItem.entry, PRIMARY_TYPE);
+            }
+            else if (event.get_key_symbol() === Clutter.KEY_space) {
+                if (this.preview.menuItem === menuItem)
+                    this.#hidePreview();
+                else
+                    this.#showPreview(menuItem);
+            }
+            else if (event.get_key_symbol() === Clutter.KEY_m || event.get_key_symbol() === Clutter.KEY_Menu) {
+                this.#openItemMenu(menuItem, true);
             }
         })
+        // Right click opens the entry menu instead of selecting the entry
+        menuItem.connect('button-press-event', (actor, event) =>
+            event.get_button() === Clutter.BUTTON_SECONDARY ? Clutter.EVENT_STOP : Clutter.EVENT_PROPAGATE);
+        menuItem.connect('button-release-event', (actor, event) => {
+            if (event.get_button() !== Clutter.BUTTON_SECONDARY) return Clutter.EVENT_PROPAGATE;
+            this.#openItemMenu(menuItem, false);
+            return Clutter.EVENT_STOP;
+        });
+
+        // Secondary line with the entry metadata below the label
+        menuItem.labelBox = new St.BoxLayout({
+            vertical: true,
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER
+        });
+        menuItem.replace_child(menuItem.label, menuItem.labelBox);
+        menuItem.labelBox.add_child(menuItem.label);
+        menuItem.metaLabel = new St.Label({
+            style_class: 'ci-entry-metadata'
+        });
+        menuItem.labelBox.add_child(menuItem.metaLabel);
 
         this._setEntryLabel(menuItem);
         this.clipItemsRadioGroup.push(menuItem);
@@ -850,11 +1065,31 @@ const ClipboardIndicator = GObject.registerClass({
         });
 
         menuItem.pasteBtn.connect('clicked',
-            () => this.#pasteItem(menuItem)
+            () => this.#pasteWithModifiers(menuItem, global.get_pointer()[2])
         );
 
         menuItem.actor.add_child(menuItem.pasteBtn);
 
+        // Set as primary selection button
+        menuItem.primaryBtn = new St.Button({
+            style_class: 'ci-action-btn',
+            can_focus: true,
+            child: new St.Icon({
+                icon_name: 'edit-select-all-symbolic',
+                style_class: 'system-status-icon'
+            }),
+            x_align: Clutter.ActorAlign.END,
+            x_expand: false,
+            y_expand: true,
+            visible: TRACK_PRIMARY
+        });
+
+        menuItem.primaryBtn.connect('clicked',
+            () => this.#updateClipboard(menuItem.entry, PRIMARY_TYPE)
+        );
+
+        menuItem.actor.add_child(menuItem.primaryBtn);
+
         // Delete button
         let icon = new St.Icon({
             icon_name: 'edit-delete-symbolic', //'mail-attachment-symbolic',
@@ -878,6 +1113,8 @@ const ClipboardIndicator = GObject.registerClass({
 
         if (entry.isFavorite()) {
             this.favoritesSection.addMenuItem(menuItem, 0);
+        } else if (entry.isPrimary()) {
+            this.primarySection.addMenuItem(menuItem, 0);
         } else {
             this.historySection.addMenuItem(menuItem, 0);
         }
@@ -892,10 +1129,111 @@ const ClipboardIndicator = GObject.registerClass({
         this.#showElements();
     }
 
+    /* Popup next to an entry offering to paste its text transformed and
+    listing the other workspaces, to move or copy the entry there. Opened
+    by right click or the m key on the entry. */
+    #openItemMenu (menuItem, fromKeyboard) {
+        this.#destroyItemMenu();
+        const targets = this.workspaces.filter(workspace => workspace !== this.activeWorkspace);
+        const transformable = menuItem.entry.isText();
+        if (!targets.length && !transformable) return;
+
+        this.#hidePreview();
+        const menu = new PopupMenu.PopupMenu(menuItem, 0.5, St.Side.TOP);
+        const manager = new PopupMenu.PopupMenuManager(menuItem);
+        Main.uiGroup.add_child(menu.actor);
+        manager.addMenu(menu);
+        menu.actor.hide();
+
+        if (menuItem.entry.original !== null) {
+            menu.addAction(_("Paste original"), () => this.#pasteOriginal(menuItem));
+        }
+
+        if (transformable) {
+            const pasteAs = new PopupMenu.PopupSubMenuMenuItem(_("Paste as…"));
+            for (const transform of TextTransforms) {
+                pasteAs.menu.addAction(_(transform.label), () => this.#pasteTransformed(menuItem, transform));
+            }
+            menu.addMenuItem(pasteAs);
+        }
+
+        if (targets.length) {
+            for (const [title, move] of [[_("Move to"), true], [_("Copy to"), false]]) {
+                menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(title));
+                for (const workspace of targets) {
+                    menu.addAction(workspace, () => this.#transferEntry(menuItem, workspace, move));
+                }
+            }
+        }
+
+        menu.connect('open-state-changed', (self, open) => {
+            if (open) return;
+            GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+                if (this.#itemMenu?.menu === menu) this.#destroyItemMenu();
+                return GLib.SOURCE_REMOVE;
+            });
+        });
+
+        this.#itemMenu = { menu, manager };
+        menu.open(BoxPointer.PopupAnimation.FULL);
+        if (fromKeyboard) menu.actor.navigate_focus(null, St.DirectionType.TAB_FORWARD, false);
+    }
+
+    #destroyItemMenu () {
+        if (!this.#itemMenu) return;
+
+        const { menu, manager } = this.#itemMenu;
+        this.#itemMenu = null;
+        manager.removeMenu(menu);
+        menu.destroy();
+    }
+
+    /* Adds the entry to the history of another workspace, image included,
+    and removes it from the active one when moving. An equal entry already
+    there is kept as is. */
+    async #transferEntry (menuItem, workspace, move) {
+        const { entry } = menuItem;
+        const cacheOnlyFavorite = this.registry.getWorkspaceSetting(workspace, PrefsFields.CACHE_ONLY_FAVORITE) ??
+            this.extension.settings.get_boolean(PrefsFields.CACHE_ONLY_FAVORITE);
+        if (this.#isMemoryOnly(workspace)) {
+            await this.#transferIntoMemory(move ? entry : entry.copy(), workspace);
+        }
+        else if (this.registry.isLocked() || (cacheOnlyFavorite && !entry.isFavorite())) {
+            this._showNotification(_("\"%s\" does not keep this entry on disk").format(workspace));
+            return;
+        }
+        else if (!(await this.registry.read(workspace)).some(other => other.equals(entry))) {
+            const evicted = await this.registry.addEntry(entry, workspace);
+            // Not written to the target, so a move must keep the entry where it is
+            if (evicted === null) {
+                this._showNotification(_("Failed to add the entry to \"%s\"").format(workspace));
+                return;
+            }
+            this.#removeEvicted(evicted, workspace);
+        }
+        this.#globalEntries = null;
+
+        if (move) {
+            if (this.menu.isOpen) this.#selectNextMenuItem(menuItem);
+            this._removeEntry(menuItem);
+            this._showNotification(_("Moved to \"%s\"").format(workspace));
+        }
+        else {
+            this._showNotification(_("Copied to \"%s\"").format(workspace));
+        }
+    }
+
+    // Adds the entry to the history a memory-only workspace gets back when it is activated,
+    // starting from what is still on disk if nothing has been kept for it yet
+    async #transferIntoMemory (entry, workspace) {
+        const history = this.#memoryHistories.get(workspace) ?? await this.registry.read(workspace);
+        if (!history.some(other => other.equals(entry)))
+            this.#memoryHistories.set(workspace, [...history, entry]);
+    }
+
     _favoriteToggle (menuItem) {
         menuItem.entry.favorite = menuItem.entry.isFavorite() ? false : true;
         this._moveItemFirst(menuItem);
-        this._updateCache();
         this.#showElements();
     }
 
@@ -917,6 +1255,9 @@ const ClipboardIndicator = GObject.registerClass({
                 this._removeEntry(mItem, 'delete');
             }
         });
+        this.primarySection._getMenuItems().forEach(mItem => {
+            this._removeEntry(mItem);
+        });
         this._showNotification(_("Clipboard history cleared"));
     }
 
@@ -931,21 +1272,20 @@ const ClipboardIndicator = GObject.registerClass({
         }
     }
 
-    _removeEntry (menuItem, event) {
+    #removeMenuItem (menuItem) {
         let itemIdx = this.clipItemsRadioGroup.indexOf(menuItem);
 
-        if(event === 'delete' && menuItem.currentlySelected) {
-            this.#clearClipboard();
-        }
-
         menuItem.destroy();
         this.clipItemsRadioGroup.splice(itemIdx,1);
+    }
 
-        if (menuItem.entry.isImage()) {
-            this.registry.deleteEntryFile(menuItem.entry, this.activeWorkspace);
+    _removeEntry (menuItem, event) {
+        if(event === 'delete' && menuItem.currentlySelected) {
+            this.#clearClipboard();
         }
 
-        this._updateCache();
+        this.#removeMenuItem(menuItem);
+        this.#removeFromCache(menuItem.entry);
         this.#showElements();
     }
 
@@ -955,21 +1295,49 @@ const ClipboardIndicator = GObject.registerClass({
         // Если MAX_REGISTRY_LENGTH равен 0, не удаляем старые записи
         if (MAX_REGISTRY_LENGTH === 0) return;
 
-        let clipItemsRadioGroupNoFavorite = that.clipItemsRadioGroup.filter(
-            item => item.entry.isFavorite() === false);
-
-        const origSize = clipItemsRadioGroupNoFavorite.length;
+        const isHistoryItem = item => item.entry.isFavorite() === false && item.entry.isPrimary() === false;
+        let clipItemsRadioGroupNoFavorite = that.clipItemsRadioGroup.filter(isHistoryItem);
 
         while (clipItemsRadioGroupNoFavorite.length > MAX_REGISTRY_LENGTH) {
             let oldestNoFavorite = clipItemsRadioGroupNoFavorite.shift();
             that._removeEntry(oldestNoFavorite);
 
-            clipItemsRadioGroupNoFavorite = that.clipItemsRadioGroup.filter(
-                item => item.entry.isFavorite() === false);
+            clipItemsRadioGroupNoFavorite = that.clipItemsRadioGroup.filter(isHistoryItem);
         }
+    }
+
+    /* Applies the image limits to the menu. Removed entries go through
+    _removeEntry, so their files leave the cache at the same time. The newest
+    image is always kept, pinned ones are not counted. */
+    _removeOldestImages () {
+        const images = this.clipItemsRadioGroup.filter(item => item.entry.isImage() && !item.entry.isFavorite());
+        const maxTotalSize = MAX_IMAGES_SIZE * 1024 * 1024;
+        let totalSize = images.reduce((size, item) => size + item.entry.asBytes().get_size(), 0);
+
+        for (const item of images.slice(0, -1)) {
+            const tooMany = MAX_IMAGES > 0 && images.length > MAX_IMAGES;
+            const tooLarge = maxTotalSize > 0 && totalSize > maxTotalSize;
+            if (!tooMany && !tooLarge) break;
 
-        if (clipItemsRadioGroupNoFavorite.length < origSize) {
-            that._updateCache();
+            totalSize -= item.entry.asBytes().get_size();
+            images.shift();
+            this._removeEntry(item);
+        }
+    }
+
+    #isImageTooLarge (entry) {
+        return entry.isImage() && MAX_IMAGE_SIZE > 0 &&
+            entry.asBytes().get_size() > MAX_IMAGE_SIZE * 1024 * 1024;
+    }
+
+    _removeOldestPrimaryEntries () {
+        if (MAX_PRIMARY_LENGTH === 0) return;
+
+        const isPrimaryItem = item => item.entry.isFavorite() === false && item.entry.isPrimary();
+        let primaryItems = this.clipItemsRadioGroup.filter(isPrimaryItem);
+
+        while (primaryItems.length > MAX_PRIMARY_LENGTH) {
+            this._removeEntry(primaryItems.shift());
         }
     }
 
@@ -996,6 +1364,10 @@ const ClipboardIndicator = GObject.registerClass({
     }
 
     _onMenuItemSelectedAndMenuClose (menuItem, autoSet) {
+        if (autoSet !== false) {
+            this.#markItemUsed(menuItem);
+        }
+
         for (let otherMenuItem of menuItem.radioGroup) {
             let clipContents = menuItem.clipContents;
 
@@ -1014,45 +1386,601 @@ const ClipboardIndicator = GObject.registerClass({
         menuItem.menu.close();
     }
 
-    _getCache () {
-        return this.registry.read(this.activeWorkspace);
+    /* A memory-only workspace gets back the entries it had when it was left, or
+    its disk history when it just became memory-only (it is removed from the disk
+    once the workspace settings are applied). Entries kept in memory go to the
+    disk when the workspace stopped being memory-only in the meantime. */
+    async _getCache () {
+        const workspace = this.activeWorkspace;
+        const kept = this.#memoryHistories.get(workspace);
+        if (this.#isMemoryOnly(workspace))
+            return kept ?? this.registry.read(workspace);
+        if (!kept)
+            return this.registry.read(workspace);
+
+        this.#memoryHistories.delete(workspace);
+        await this.registry.write(kept.filter(entry => this.#isCacheable(entry)), workspace);
+        return kept;
     }
 
+    #isMemoryOnly (workspace) {
+        return this.workspaceSettings[workspace]?.[PrefsFields.MEMORY_ONLY] ??
+            this.extension.settings.get_boolean(PrefsFields.MEMORY_ONLY);
+    }
+
+    // Keeps the entries of the active workspace before they leave the menu, if it has no disk history
+    #saveMemoryHistory () {
+        if (this.#isMemoryOnly(this.activeWorkspace))
+            this.#memoryHistories.set(this.activeWorkspace, this.clipItemsRadioGroup.map(menuItem => menuItem.entry));
+    }
+
+    // Rewrites the whole workspace cache, only needed for bulk changes
     _updateCache () {
         if (cacheLock) return;
         cacheLock = true;
         try {
             const entries = this.clipItemsRadioGroup
                 .map(menuItem => menuItem.entry)
-                .filter(entry => CACHE_ONLY_FAVORITE == false || entry.isFavorite());
+                .filter(entry => this.#isCacheable(entry));
 
-            this.registry.write(entries, this.activeWorkspace);
+            const workspace = this.activeWorkspace;
+            this.registry.write(entries, workspace).then(ids => this.#removeEvicted(ids, workspace));
         } finally {
             cacheLock = false;
         }
     }
 
+    #isCacheable (entry) {
+        return !MEMORY_ONLY && (CACHE_ONLY_FAVORITE == false || entry.isFavorite());
+    }
+
     #addToCache (entry) {
-        const entries = this.clipItemsRadioGroup
-            .map(menuItem => menuItem.entry)
-            .filter(entry => CACHE_ONLY_FAVORITE == false || entry.isFavorite())
-            .concat([entry]);
-        this.registry.write(entries, this.activeWorkspace);
+        const workspace = this.activeWorkspace;
+        if (this.#isCacheable(entry))
+            this.registry.addEntry(entry, workspace).then(ids => this.#removeEvicted(ids, workspace));
+    }
+
+    #updateInCache (entry) {
+        const workspace = this.activeWorkspace;
+        if (this.#isCacheable(entry))
+            this.registry.updateEntry(entry, workspace).then(ids => this.#removeEvicted(ids, workspace));
+        else
+            this.registry.removeEntry(entry, workspace);
+    }
+
+    #moveInCache (entry) {
+        const workspace = this.activeWorkspace;
+        if (this.#isCacheable(entry))
+            this.registry.moveEntryToEnd(entry, workspace).then(ids => this.#removeEvicted(ids, workspace));
+        else
+            this.registry.removeEntry(entry, workspace);
+    }
+
+    #enforceCacheSize () {
+        const workspace = this.activeWorkspace;
+        this.registry.enforceSizeLimit(workspace).then(ids => this.#removeEvicted(ids, workspace));
+    }
+
+    // Drops the entries the registry evicted to stay within cache-size from the menu
+    #removeEvicted (ids, workspace) {
+        if (!ids?.length || workspace !== this.activeWorkspace) return;
+
+        this.clipItemsRadioGroup
+            .filter(menuItem => ids.includes(menuItem.entry.id))
+            .forEach(menuItem => this.#removeMenuItem(menuItem));
+        this.#showElements();
+    }
+
+    /* Moves the pinned entries and workspaces.json to the directory of the
+    storage-path setting. When that directory already held them, its
+    workspaces and history replace the loaded ones. */
+    async #onStoragePathChanged () {
+        const path = this.extension.settings.get_string(PrefsFields.STORAGE_PATH);
+        const relocated = await this.registry.relocateData(path);
+        if (relocated === null) {
+            // The data stayed where it was, so does the setting
+            this._showNotification(_("Failed to move the clipboard data to %s").format(resolveDataDir(path)));
+            this.extension.settings.set_string(PrefsFields.STORAGE_PATH, this.registry.storagePath);
+            return;
+        }
+        if (!relocated) return;
+
+        this.#saveMemoryHistory();
+        const config = this.registry.loadWorkspacesConfig();
+        this.workspaces = config.workspaces;
+        this.defaultWorkspace = config.defaultWorkspace ?? null;
+        this.workspaceSettings = config.settings ?? {};
+        if (!this.workspaces.includes(this.activeWorkspace)) {
+            this.activeWorkspace = config.activeWorkspace;
+        }
+        this.#globalEntries = null;
+        this._fillWorkspaceButtons();
+        this.#highlightWorkspaceButton(this.workspaces.indexOf(this.activeWorkspace));
+
+        // The rules file moved along with the configuration
+        this.#stopWorkspaceRules();
+        this.#startWorkspaceRules();
+
+        this.#showHistory(await this._getCache());
+        this.#applyWorkspaceSettings();
+    }
+
+    /* The preferences window asks for cache maintenance through the
+    storage-request key, since only the extension knows the in-memory
+    history. The key is reset once the request is done. */
+    async #onStorageRequest () {
+        const { settings } = this.extension;
+        const request = settings.get_string(PrefsFields.STORAGE_REQUEST);
+        if (!request) return;
+
+        try {
+            const { action, workspace, ...options } = JSON.parse(request);
+            if (action === 'compact') {
+                this.#removeEvicted(await this.registry.compactWorkspace(workspace), workspace);
+            }
+            else if (action === 'clear') {
+                if (workspace === this.activeWorkspace)
+                    this._clearHistory();
+                else
+                    await this.registry.clearHistory(workspace);
+            }
+            else {
+                await this.#handleWorkspaceRequest(action, workspace, options);
+            }
+            await this.registry.flush();
+        } catch (e) {
+            console.error('Failed to handle storage request:', e);
+        } finally {
+            settings.set_string(PrefsFields.STORAGE_REQUEST, '');
+        }
+    }
+
+    // Changes made on the workspaces page of the preferences
+    async #handleWorkspaceRequest (action, workspace, { name, target, workspaces, settings, path, mode }) {
+        const isNewName = isValidWorkspaceName(name) && !this.workspaces.includes(name);
+        // These act on the workspace list, exports without a workspace cover all of them
+        const isGlobal = ['create', 'reorder', 'import'].includes(action) || (action === 'export' && !workspace);
+        if (!isGlobal && !this.workspaces.includes(workspace)) return;
+
+        switch (action) {
+            case 'create':
+                if (!isNewName) return;
+                this.workspaces.push(name);
+                break;
+            case 'rename':
+                if (isNewName) await this._renameWorkspace(workspace, name);
+                break;
+            case 'duplicate':
+                if (!isNewName || !await this.registry.duplicateWorkspace(workspace, name)) return;
+                this.workspaces.splice(this.workspaces.indexOf(workspace) + 1, 0, name);
+                if (this.workspaceSettings[workspace])
+                    this.workspaceSettings[name] = { ...this.workspaceSettings[workspace] };
+                break;
+            case 'merge':
+                if (!this.workspaces.includes(target) || target === workspace) return;
+                await this.#mergeWorkspace(workspace, target);
+                return;
+            case 'delete':
+                this._deleteWorkspace(workspace);
+                return;
+            case 'reorder':
+                // Only a permutation of the current workspaces is accepted
+                if (!Array.isArray(workspaces) || workspaces.length !== this.workspaces.length ||
+                    !workspaces.every(other => this.workspaces.includes(other))) return;
+                this.workspaces = [...workspaces];
+                break;
+            case 'set-default':
+                this.defaultWorkspace = this.defaultWorkspace === workspace ? null : workspace;
+                break;
+            case 'set-settings':
+                await this.#setWorkspaceSettings(workspace, settings);
+                return;
+            case 'export':
+                await this.#exportWorkspaces(workspace ? [workspace] : [...this.workspaces], path);
+                return;
+            case 'import':
+                await this.#importExport(path, mode === 'replace');
+                return;
+            default:
+                return;
+        }
+
+        this._saveWorkspacesConfig();
+        this._fillWorkspaceButtons();
+    }
+
+    // Overrides { key: value } of a workspace, an empty object removes them all
+    async #setWorkspaceSettings (workspace, settings) {
+        const wasMemoryOnly = this.#isMemoryOnly(workspace);
+        // Unknown keys and empty overrides are dropped
+        this.workspaceSettings = filterWorkspaceSettings(
+            { ...this.workspaceSettings, [workspace]: settings }, this.workspaces);
+        this._saveWorkspacesConfig();
+
+        if (workspace === this.activeWorkspace) {
+            this.#applyWorkspaceSettings();
+            // The history in the menu goes back to the disk
+            if (wasMemoryOnly && !MEMORY_ONLY) this._updateCache();
+        } else if (!wasMemoryOnly && this.#isMemoryOnly(workspace)) {
+            // The history of an inactive workspace moves from the disk into memory right away
+            this.#memoryHistories.set(workspace, await this.registry.read(workspace));
+            await this.registry.write([], workspace);
+        }
+    }
+
+    async #mergeWorkspace (source, target) {
+        const merged = await this.registry.mergeWorkspace(source, target);
+        if (!merged) {
+            this._showNotification(_("Failed to merge workspaces"));
+            return;
+        }
+
+        const wasActive = this.activeWorkspace === source || this.activeWorkspace === target;
+        this.workspaces.splice(this.workspaces.indexOf(source), 1);
+        if (this.defaultWorkspace === source) this.defaultWorkspace = target;
+        delete this.workspaceSettings[source];
+        if (this.activeWorkspace === source) this.activeWorkspace = target;
+
+        this._saveWorkspacesConfig();
+        this._fillWorkspaceButtons();
+
+        if (wasActive) this.#showHistory(merged);
+    }
+
+    // Replaces the menu items with entries loaded from the registry
+    #showHistory (entries) {
+        this._clearMenuItems();
+        entries.forEach(entry => this._addEntry(entry));
+        if (entries.length > 0) {
+            this._selectMenuItem(this.clipItemsRadioGroup[entries.length - 1]);
+        }
+    }
+
+    /* Writes the history of the given workspaces, their setting overrides
+    included, to a single file; by default a new file in the export directory.
+    Exports are plain JSON, so an encrypted cache is only exported once confirmed. */
+    async #exportWorkspaces (workspaces, path = null) {
+        if (this.registry.isLocked()) {
+            this.#notifyCacheLocked();
+            return;
+        }
+
+        if (!ENCRYPT_CACHE) {
+            await this.#writeExport(workspaces, path);
+            return;
+        }
+
+        this.dialogManager.open(
+            _("Export without encryption?"),
+            _("The clipboard cache is encrypted, but the export is saved as plain text, masked entries included."),
+            _("Anyone who can read the file can read the exported history."),
+            _("Export"), _("Cancel"),
+            () => this.#writeExport(workspaces, path)
+        );
+    }
+
+    async #writeExport (workspaces, path) {
+        path ??= getNewExportPath(workspaces.length === 1 ? workspaces[0] : 'all');
+        try {
+            GLib.mkdir_with_parents(GLib.path_get_dirname(path), 0o775);
+            const count = await this.registry.exportWorkspaces(workspaces, path, this.workspaceSettings);
+            this._showNotification(_("%d entries exported to %s").format(count, path), notif => {
+                notif.addAction(_('Show'), () => {
+                    Gio.AppInfo.launch_default_for_uri(GLib.filename_to_uri(GLib.path_get_dirname(path), null), null);
+                });
+            });
+        } catch (e) {
+            console.error('Failed to export clipboard history:', e);
+            this._showNotification(_("Failed to export the clipboard history"));
+        }
+    }
+
+    /* Adds the workspaces of an export to the history: missing workspaces are
+    created with their settings, existing ones get the entries they lack, or
+    only the exported entries when replace is set */
+    async #importExport (path, replace) {
+        if (this.registry.isLocked()) {
+            this.#notifyCacheLocked();
+            return;
+        }
+
+        let workspaces;
+        try {
+            workspaces = await this.registry.readBundle(path);
+        } catch (e) {
+            console.error('Failed to read clipboard history export:', e);
+            this._showNotification(_("%s is not a clipboard history export").format(GLib.path_get_basename(path)));
+            return;
+        }
+
+        let added = 0;
+        for (const { name, settings, entries } of workspaces) {
+            if (!this.workspaces.includes(name)) {
+                this.workspaces.push(name);
+                this.workspaceSettings[name] = settings;
+            }
+
+            const result = this.#isMemoryOnly(name)
+                ? this.#importIntoMemory(name, entries, replace)
+                : await this.registry.importEntries(name, entries, replace);
+            if (!result) continue;
+
+            added += result.added;
+            if (name === this.activeWorkspace) {
+                this.#showHistory(result.merged);
+                this.#applyWorkspaceSettings();
+            }
+        }
+
+        this.workspaceSettings = filterWorkspaceSettings(this.workspaceSettings, this.workspaces);
+        this.#globalEntries = null;
+        this._saveWorkspacesConfig();
+        this._fillWorkspaceButtons();
+        this._showNotification(_("%d entries imported").format(added));
+    }
+
+    // importEntries for a memory-only workspace, the entries stay off the disk
+    #importIntoMemory (workspace, entries, replace) {
+        this.#saveMemoryHistory();
+        const kept = replace ? [] : this.#memoryHistories.get(workspace) ?? [];
+        const added = entries.filter((entry, i) =>
+            !kept.some(other => other.equals(entry)) && entries.findIndex(other => other.equals(entry)) === i);
+        const merged = kept.concat(added);
+        if (workspace !== this.activeWorkspace) this.#memoryHistories.set(workspace, merged);
+        return { added: added.length, merged };
+    }
+
+    // Export actions and the latest exports found in the export directory
+    #fillExportMenu () {
+        const menu = this.exportMenuItem.menu;
+        menu.removeAll();
+
+        menu.addAction(_("Export this workspace"), () => this.#exportWorkspaces([this.activeWorkspace]));
+        menu.addAction(_("Export all workspaces"), () => this.#exportWorkspaces([...this.workspaces]));
+
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(_("Import")));
+        const exports = listExports().slice(0, MAX_LISTED_EXPORTS);
+        for (const { path, name } of exports) {
+            menu.addAction(name, () => this.#importExport(path, false));
+        }
+        if (!exports.length) {
+            const emptyItem = new PopupMenu.PopupMenuItem(_("No exports in %s").format(getExportDir()), { reactive: false });
+            menu.addMenuItem(emptyItem);
+        }
+    }
+
+    #removeFromCache (entry) {
+        this.registry.removeEntry(entry, this.activeWorkspace);
     }
 
     async _onSelectionChange (selection, selectionType, selectionSource) {
         if (selectionType === Meta.SelectionType.SELECTION_CLIPBOARD) {
             this._refreshIndicator();
         }
+        else if (selectionType === Meta.SelectionType.SELECTION_PRIMARY && TRACK_PRIMARY) {
+            this._refreshPrimary();
+        }
+    }
+
+    async _refreshPrimary () {
+        if (PRIVATEMODE || this.#pasteInProgress) return;
+        if (this.#isExcludedSource(PRIMARY_TYPE)) return;
+        if (this.#refreshInProgress.has(PRIMARY_TYPE)) return;
+        this.#refreshInProgress.add(PRIMARY_TYPE);
+
+        try {
+            const result = await this.#getClipboardContent(PRIMARY_TYPE);
+            if (!result) return;
+
+            // Highlighted text that is already in the history is not recorded twice
+            if (this.clipItemsRadioGroup.some(menuItem => menuItem.entry.equals(result))) return;
+
+            if (!this.#applySensitiveRules(result)) return;
+
+            result.primary = true;
+            this.#addToCache(result);
+            this._addEntry(result, false);
+            this._removeOldestPrimaryEntries();
+        } catch (e) {
+            console.error('Failed to refresh primary selection:', e);
+        } finally {
+            this.#refreshInProgress.delete(PRIMARY_TYPE);
+        }
+    }
+
+    #isExcludedApp (app) {
+        if (!app) return false;
+
+        const names = [app.id, app.id?.replace(/\.desktop$/, ''), app.wmClass]
+            .filter(name => !!name)
+            .map(name => name.toLowerCase());
+
+        return EXCLUDED_APPS.some(excluded => names.includes(excluded.toLowerCase()));
+    }
+
+    #isExcludedSource (clipboardType) {
+        const mimetypes = this.extension.clipboard.get_mimetypes(clipboardType);
+        if (mimetypes.some(type => PASSWORD_MANAGER_HINTS.includes(type))) return true;
+
+        return this.#isExcludedApp(this.#getFocusedApp());
+    }
+
+    /* Runs text entries through the sensitive content rules. Masks the entry
+    and/or gives it an expiry time according to the strictest action of the
+    matched rules, and returns false when the entry must not be recorded at all. */
+    #applySensitiveRules (entry) {
+        if (!entry.isText()) return true;
+
+        const ruleIds = findSensitiveRules(entry.getStringValue(), SENSITIVE_PATTERNS);
+        switch (getStrictestAction(ruleIds.map(id => SENSITIVE_RULES[id]))) {
+            case SensitiveActions.DROP:
+                return false;
+            case SensitiveActions.MASK:
+                entry.masked = true;
+                // falls through: masked entries expire as well
+            case SensitiveActions.EXPIRE:
+                entry.expiresAt = Date.now() + SENSITIVE_EXPIRY * 60 * 1000;
+                break;
+        }
+        return true;
+    }
+
+    _removeExpiredEntries () {
+        const now = Date.now();
+        this.clipItemsRadioGroup
+            .filter(item => item.entry.isExpired(now, MAX_ENTRY_AGE))
+            .forEach(item => this._removeEntry(item, 'delete'));
+    }
+
+    #startExpirySweep () {
+        this._removeExpiredEntries();
+        this._expirySweepId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, EXPIRY_SWEEP_INTERVAL, () => {
+            this._removeExpiredEntries();
+            return GLib.SOURCE_CONTINUE;
+        });
+    }
+
+    #stopExpirySweep () {
+        if (this._expirySweepId) {
+            GLib.source_remove(this._expirySweepId);
+            this._expirySweepId = null;
+        }
+    }
+
+    /* Switches the clipboard workspace when a window matching one of the rules
+    edited in the preferences gets the focus. The rules file is watched, so
+    edits apply without restarting the extension. */
+    #startWorkspaceRules () {
+        this.#workspaceRules = loadWorkspaceRules();
+
+        try {
+            const file = Gio.File.new_for_path(getWorkspaceRulesFile());
+            this.#rulesMonitor = file.monitor_file(Gio.FileMonitorFlags.NONE, null);
+            this.#rulesMonitor.connect('changed', () => {
+                this.#workspaceRules = loadWorkspaceRules();
+            });
+        } catch (e) {
+            console.error('Failed to watch workspace rules:', e);
+        }
+
+        this.#focusWindowId = global.display.connect('notify::focus-window', () => this.#onFocusWindowChanged());
+    }
+
+    #stopWorkspaceRules () {
+        if (this.#focusWindowId) {
+            global.display.disconnect(this.#focusWindowId);
+            this.#focusWindowId = 0;
+        }
+        this.#disconnectFocusWindow();
+        this.#rulesMonitor?.cancel();
+        this.#rulesMonitor = null;
+
+        if (this.#workspaceRuleTimeoutId) {
+            GLib.source_remove(this.#workspaceRuleTimeoutId);
+            this.#workspaceRuleTimeoutId = 0;
+        }
+    }
+
+    #disconnectFocusWindow () {
+        if (this.#focusWindowTitleId) {
+            this.#focusWindow.disconnect(this.#focusWindowTitleId);
+            this.#focusWindowTitleId = 0;
+        }
+        this.#focusWindow = null;
+    }
+
+    // Title rules also follow the title of the focused window, e.g. browser tabs
+    #onFocusWindowChanged () {
+        this.#disconnectFocusWindow();
+
+        const window = global.display.focus_window;
+        if (window) {
+            this.#focusWindow = window;
+            this.#focusWindowTitleId = window.connect('notify::title', () => this.#scheduleWorkspaceRule());
+        }
+        this.#scheduleWorkspaceRule();
+    }
+
+    #scheduleWorkspaceRule () {
+        if (!this.#workspaceRules.length) return;
+
+        if (this.#workspaceRuleTimeoutId) GLib.source_remove(this.#workspaceRuleTimeoutId);
+        this.#workspaceRuleTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, WORKSPACE_RULE_DELAY, () => {
+            this.#workspaceRuleTimeoutId = 0;
+            this.#applyWorkspaceRule();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    // Windows no rule matches leave the active workspace as it is
+    #applyWorkspaceRule () {
+        if (PRIVATEMODE) return;
+
+        const app = this.#getFocusedApp();
+        if (!app) return;
+
+        const rule = findWorkspaceRule(this.#workspaceRules, {
+            ...app,
+            title: global.display.focus_window?.get_title() ?? null
+        });
+        if (!rule || rule.workspace === this.activeWorkspace || !this.workspaces.includes(rule.workspace)) return;
+
+        this._switchWorkspace(rule.workspace);
+        this.#highlightWorkspaceButton(this.workspaces.indexOf(rule.workspace));
+    }
+
+    #updateDesktopBinding () {
+        if (!BIND_TO_DESKTOPS) {
+            this.#unbindDesktops();
+            return;
+        }
+
+        if (!this.#desktopChangedId) {
+            this.#desktopChangedId = global.workspace_manager.connect('active-workspace-changed',
+                () => this.#onActiveDesktopChanged());
+        }
+        this.#onActiveDesktopChanged();
+    }
+
+    #unbindDesktops () {
+        if (this.#desktopChangedId) {
+            global.workspace_manager.disconnect(this.#desktopChangedId);
+            this.#desktopChangedId = 0;
+        }
+    }
+
+    // The clipboard workspace at the index of the virtual desktop, created when missing
+    #onActiveDesktopChanged () {
+        const index = global.workspace_manager.get_active_workspace_index();
+
+        if (index >= this.workspaces.length) {
+            for (let i = this.workspaces.length; i <= index; i++) {
+                let name = _('Desktop %d').format(i + 1);
+                for (let n = 2; this.workspaces.includes(name); n++) {
+                    name = _('Desktop %d (%d)').format(i + 1, n);
+                }
+                this.workspaces.push(name);
+            }
+            this._saveWorkspacesConfig();
+            this._fillWorkspaceButtons();
+        }
+
+        const workspace = this.workspaces[index];
+        if (workspace === this.activeWorkspace) return;
+
+        this._switchWorkspace(workspace);
+        this.#highlightWorkspaceButton(index);
     }
 
     async _refreshIndicator () {
         if (PRIVATEMODE) return; // Private mode, do not.
-        if (this.#refreshInProgress) return;
-        this.#refreshInProgress = true;
+        if (this.#pasteInProgress) return; // Values set by #pasteEntry, transforms and expanded snippets
+        if (this.#isExcludedSource(CLIPBOARD_TYPE)) return; // Password managers and excluded apps
+        if (this.#refreshInProgress.has(CLIPBOARD_TYPE)) return;
+        this.#refreshInProgress.add(CLIPBOARD_TYPE);
 
         try {
-            const result = await this.#getClipboardContent();
+            const result = this.#normalizeEntry(await this.#getClipboardContent());
 
             if (result) {
                 // Проверяем, есть ли такой элемент уже в списке
@@ -1064,12 +1992,25 @@ const ClipboardIndicator = GObject.registerClass({
                     }
                 }
 
-                if (existingItem) {
+                if (existingItem && existingItem.entry.isPrimary()) {
+                    // The highlighted text was copied, promote it to the clipboard history
+                    existingItem.entry.primary = false;
+                    existingItem.entry.touch();
+                    this._selectMenuItem(existingItem, false);
+                    this._moveItemFirst(existingItem);
+                } else if (existingItem) {
+                    existingItem.entry.touch();
                     this._selectMenuItem(existingItem, false);
                     if (!existingItem.entry.isFavorite() && MOVE_ITEM_FIRST) {
                         this._moveItemFirst(existingItem);
+                    } else {
+                        this.#updateInCache(existingItem.entry);
                     }
-                } else {
+                } else if (this.#isImageTooLarge(result)) {
+                    if (NOTIFY_ON_COPY) {
+                        this._showNotification(_("The image is too large to keep in the history"));
+                    }
+                } else if (this.#applySensitiveRules(result)) {
                     // Проверяем лимит только если MAX_REGISTRY_LENGTH не равен 0
                     if (MAX_REGISTRY_LENGTH === 0 || 
                         this.clipItemsRadioGroup.filter(item => !item.entry.isFavorite()).length < MAX_REGISTRY_LENGTH) {
@@ -1081,6 +2022,7 @@ const ClipboardIndicator = GObject.registerClass({
                         this.#addToCache(result);
                         this._addEntry(result, true, false);
                     }
+                    this._removeOldestImages();
 
                     if (NOTIFY_ON_COPY) {
                         this._showNotification(_("Copied to clipboard"), notif => {
@@ -1092,14 +2034,28 @@ const ClipboardIndicator = GObject.registerClass({
         } catch (e) {
             console.error('Failed to refresh indicator:', e);
         } finally {
-            this.#refreshInProgress = false;
+            this.#refreshInProgress.delete(CLIPBOARD_TYPE);
         }
     }
 
+    /* Applies the enabled normalization steps to copied text, so that text
+    differing only in whitespace or invisible characters is recorded once.
+    The copied text stays available through "Paste original". */
+    #normalizeEntry (entry) {
+        if (!entry?.isText() || !TEXT_NORMALIZATION.length) return entry;
+
+        const text = entry.getStringValue();
+        const normalized = normalizeText(text, TEXT_NORMALIZATION);
+        if (normalized === text) return entry;
+        // Only whitespace was copied, nothing is left to record
+        if (!normalized) return null;
+        return entry.withNormalizedText(normalized);
+    }
+
     _moveItemFirst (item) {
-        this._removeEntry(item);
+        this.#removeMenuItem(item);
         this._addEntry(item.entry, item.currentlySelected, false);
-        this._updateCache();
+        this.#moveInCache(item.entry);
     }
 
     _findItem (text) {
@@ -1112,7 +2068,9 @@ const ClipboardIndicator = GObject.registerClass({
     }
 
     _getAllIMenuItems () {
-        return this.historySection._getMenuItems().concat(this.favoritesSection._getMenuItems());
+        return this.historySection._getMenuItems()
+            .concat(this.favoritesSection._getMenuItems())
+            .concat(this.primarySection._getMenuItems());
     }
 
     _setupListener () {
@@ -1148,9 +2106,10 @@ const ClipboardIndicator = GObject.registerClass({
     }
 
     _cancelNotification () {
-        if (this.clipItemsRadioGroup.length >= 2) {
-            let clipSecond = this.clipItemsRadioGroup.length - 2;
-            let previousClip = this.clipItemsRadioGroup[clipSecond];
+        const clipItems = this.clipItemsRadioGroup.filter(item => !item.entry.isPrimary());
+        if (clipItems.length >= 2) {
+            let clipSecond = clipItems.length - 2;
+            let previousClip = clipItems[clipSecond];
             this.#updateClipboard(previousClip.entry);
             previousClip.setOrnament(PopupMenu.Ornament.DOT);
             previousClip.icoBtn.visible = false;
@@ -1158,8 +2117,8 @@ const ClipboardIndicator = GObject.registerClass({
         } else {
             this.#clearClipboard();
         }
-        let clipFirst = this.clipItemsRadioGroup.length - 1;
-        this._removeEntry(this.clipItemsRadioGroup[clipFirst]);
+        let clipFirst = clipItems.length - 1;
+        this._removeEntry(clipItems[clipFirst]);
     }
 
     _showNotification (message, transformFn) {
@@ -1216,6 +2175,7 @@ const ClipboardIndicator = GObject.registerClass({
         // We hide the history in private ModeTypee because it will be out of sync (selected item will not reflect clipboard)
         this.scrollViewMenuSection.actor.visible = !PRIVATEMODE;
         this.scrollViewFavoritesMenuSection.actor.visible = !PRIVATEMODE;
+        this.scrollViewPrimaryMenuSection.actor.visible = !PRIVATEMODE && TRACK_PRIMARY;
         // If we get out of private mode then we restore the clipboard to old state
         if (!PRIVATEMODE) {
             let selectList = this.clipItemsRadioGroup.filter((item) => !!item.currentlySelected);
@@ -1242,8 +2202,15 @@ const ClipboardIndicator = GObject.registerClass({
     }
 
     _loadSettings () {
-        this._settingsChangedId = this.extension.settings.connect('changed',
-            this._onSettingsChange.bind(this));
+        this._settingsChangedId = this.extension.settings.connect('changed', (settings, key) => {
+            // These keys have their own handlers and don't affect the other settings
+            if (key === PrefsFields.STORAGE_REQUEST || key === PrefsFields.STORAGE_PATH) return;
+            this._onSettingsChange();
+        });
+        this._storageRequestId = this.extension.settings.connect(`changed::${PrefsFields.STORAGE_REQUEST}`,
+            () => this.#onStorageRequest());
+        this._storagePathId = this.extension.settings.connect(`changed::${PrefsFields.STORAGE_PATH}`,
+            () => this.#onStoragePathChanged());
 
         this._fetchSettings();
 
@@ -1254,23 +2221,56 @@ const ClipboardIndicator = GObject.registerClass({
 
     _fetchSettings () {
         const { settings } = this.extension;
-        MAX_REGISTRY_LENGTH    = settings.get_int(PrefsFields.HISTORY_SIZE);
+        MAX_REGISTRY_LENGTH    = this.#workspaceSetting(PrefsFields.HISTORY_SIZE, settings.get_int(PrefsFields.HISTORY_SIZE));
         MAX_ENTRY_LENGTH       = settings.get_int(PrefsFields.PREVIEW_SIZE);
-        CACHE_ONLY_FAVORITE    = settings.get_boolean(PrefsFields.CACHE_ONLY_FAVORITE);
+        CACHE_ONLY_FAVORITE    = this.#workspaceSetting(PrefsFields.CACHE_ONLY_FAVORITE, settings.get_boolean(PrefsFields.CACHE_ONLY_FAVORITE));
+        MEMORY_ONLY            = this.#workspaceSetting(PrefsFields.MEMORY_ONLY, settings.get_boolean(PrefsFields.MEMORY_ONLY));
         DELETE_ENABLED         = settings.get_boolean(PrefsFields.DELETE);
         MOVE_ITEM_FIRST        = settings.get_boolean(PrefsFields.MOVE_ITEM_FIRST);
-        NOTIFY_ON_COPY         = settings.get_boolean(PrefsFields.NOTIFY_ON_COPY);
+        NOTIFY_ON_COPY         = this.#workspaceSetting(PrefsFields.NOTIFY_ON_COPY, settings.get_boolean(PrefsFields.NOTIFY_ON_COPY));
         CONFIRM_ON_CLEAR       = settings.get_boolean(PrefsFields.CONFIRM_ON_CLEAR);
         ENABLE_KEYBINDING      = settings.get_boolean(PrefsFields.ENABLE_KEYBINDING);
         MAX_TOPBAR_LENGTH      = settings.get_int(PrefsFields.TOPBAR_PREVIEW_SIZE);
         TOPBAR_DISPLAY_MODE    = settings.get_int(PrefsFields.TOPBAR_DISPLAY_MODE_ID);
         CLEAR_ON_BOOT          = settings.get_boolean(PrefsFields.CLEAR_ON_BOOT);
         DISABLE_DOWN_ARROW     = settings.get_boolean(PrefsFields.DISABLE_DOWN_ARROW);
-        STRIP_TEXT             = settings.get_boolean(PrefsFields.STRIP_TEXT);
+        TEXT_NORMALIZATION     = NormalizationSteps.map(step => step.key).filter(key => settings.get_boolean(key));
         KEEP_SELECTED_ON_CLEAR = settings.get_boolean(PrefsFields.KEEP_SELECTED_ON_CLEAR);
         PASTE_BUTTON           = settings.get_boolean(PrefsFields.PASTE_BUTTON);
         PINNED_ON_BOTTOM       = settings.get_boolean(PrefsFields.PINNED_ON_BOTTOM);
+        TRACK_PRIMARY          = settings.get_boolean(PrefsFields.TRACK_PRIMARY);
+        MAX_PRIMARY_LENGTH     = settings.get_int(PrefsFields.PRIMARY_HISTORY_SIZE);
+        SHOW_ENTRY_METADATA    = settings.get_boolean(PrefsFields.SHOW_ENTRY_METADATA);
+        EXCLUDED_APPS          = settings.get_strv(PrefsFields.EXCLUDED_APPS);
+        SENSITIVE_RULES        = settings.get_value(PrefsFields.SENSITIVE_RULES).deep_unpack();
+        SENSITIVE_PATTERNS     = settings.get_strv(PrefsFields.SENSITIVE_PATTERNS);
+        SENSITIVE_EXPIRY       = settings.get_int(PrefsFields.SENSITIVE_EXPIRY);
+        MAX_ENTRY_AGE          = this.registry.getMaxEntryAge(this.activeWorkspace);
+        ENCRYPT_CACHE          = settings.get_boolean(PrefsFields.ENCRYPT_CACHE);
+        MAX_IMAGES             = this.#workspaceSetting(PrefsFields.MAX_IMAGES, settings.get_int(PrefsFields.MAX_IMAGES));
+        MAX_IMAGES_SIZE        = this.#workspaceSetting(PrefsFields.MAX_IMAGES_SIZE, settings.get_int(PrefsFields.MAX_IMAGES_SIZE));
+        MAX_IMAGE_SIZE         = this.#workspaceSetting(PrefsFields.MAX_IMAGE_SIZE, settings.get_int(PrefsFields.MAX_IMAGE_SIZE));
+        BIND_TO_DESKTOPS       = settings.get_boolean(PrefsFields.BIND_TO_DESKTOPS);
+        EXPAND_SNIPPETS        = settings.get_boolean(PrefsFields.EXPAND_SNIPPETS);
+    }
+
+    // Value overridden for the active workspace in workspaces.json, else the global one
+    #workspaceSetting (key, value) {
+        return this.workspaceSettings[this.activeWorkspace]?.[key] ?? value;
+    }
+
+    /* Re-reads the settings after the active workspace or its overrides
+    changed and applies the limits that differ to the loaded history */
+    #applyWorkspaceSettings () {
+        this._fetchSettings();
 
+        // Записи, которые больше не должны храниться на диске, убираем оттуда сразу
+        if (MEMORY_ONLY || (CACHE_ONLY_FAVORITE && this.clipItemsRadioGroup.some(item => !item.entry.isFavorite()))) {
+            this._updateCache();
+        }
+        this._removeOldestEntries();
+        this._removeOldestImages();
+        this._removeExpiredEntries();
     }
 
     async _onSettingsChange () {
@@ -1278,16 +2278,38 @@ const ClipboardIndicator = GObject.registerClass({
             var that = this;
 
             // Load the settings into variables
+            const wasEncrypted = ENCRYPT_CACHE;
+            const wasCacheOnlyFavorite = CACHE_ONLY_FAVORITE;
+            const wasMemoryOnly = MEMORY_ONLY;
+            const wasBoundToDesktops = BIND_TO_DESKTOPS;
             that._fetchSettings();
 
+            if (BIND_TO_DESKTOPS !== wasBoundToDesktops) {
+                that.#updateDesktopBinding();
+            }
+
+            if (CACHE_ONLY_FAVORITE !== wasCacheOnlyFavorite || MEMORY_ONLY !== wasMemoryOnly) {
+                that._updateCache();
+            }
+
+            if (ENCRYPT_CACHE !== wasEncrypted) {
+                await that.#onEncryptionChanged();
+            }
+
             // Remove old entries in case the registry size changed
             that._removeOldestEntries();
+            that._removeOldestPrimaryEntries();
+            that._removeOldestImages();
+            that._removeExpiredEntries();
+            that.#enforceCacheSize();
 
             // Re-set menu-items lables in case preview size changed
             this._getAllIMenuItems().forEach(function (mItem) {
                 that._setEntryLabel(mItem);
                 mItem.pasteBtn.visible = PASTE_BUTTON;
+                mItem.primaryBtn.visible = TRACK_PRIMARY;
             });
+            this.#showElements();
 
             //update topbar
             this._updateTopbarLayout();
@@ -1367,7 +2389,11 @@ const ClipboardIndicator = GObject.registerClass({
             return;
 
         this.extension.settings.disconnect(this._settingsChangedId);
+        this.extension.settings.disconnect(this._storageRequestId);
+        this.extension.settings.disconnect(this._storagePathId);
         this._settingsChangedId = null;
+        this._storageRequestId = null;
+        this._storagePathId = null;
     }
 
     _disconnectSelectionListener () {
@@ -1404,7 +2430,7 @@ const ClipboardIndicator = GObject.registerClass({
                 i--;                                 //get the previous index
                 if (i < 0) i = menuItems.length - 1; //cycle if out of bound
                 let index = i + 1;                   //index to be displayed
-                that._showNotification(index + ' / ' + menuItems.length + ': ' + menuItems[i].entry.getStringValue());
+                that._showNotification(index + ' / ' + menuItems.length + ': ' + that._getDisplayText(menuItems[i].entry));
                 if (MOVE_ITEM_FIRST) {
                     that._selectEntryWithDelay(menuItems[i]);
                 }
@@ -1428,7 +2454,7 @@ const ClipboardIndicator = GObject.registerClass({
                 i++;                                 //get the next index
                 if (i === menuItems.length) i = 0;   //cycle if out of bound
                 let index = i + 1;                     //index to be displayed
-                that._showNotification(index + ' / ' + menuItems.length + ': ' + menuItems[i].entry.getStringValue());
+                that._showNotification(index + ' / ' + menuItems.length + ': ' + that._getDisplayText(menuItems[i].entry));
                 if (MOVE_ITEM_FIRST) {
                     that._selectEntryWithDelay(menuItems[i]);
                 }
@@ -1463,6 +2489,9 @@ const ClipboardIndicator = GObject.registerClass({
                         case Clutter.KEY_bracketright: // Ctrl + ]
                             this._switchToNextWorkspace();
                             return Clutter.EVENT_STOP;
+                        case Clutter.KEY_g: // Ctrl + G
+                            this.globalSearchButton.checked = !this.globalSearchButton.checked;
+                            return Clutter.EVENT_STOP;
                     }
                 }
                 return Clutter.EVENT_PROPAGATE;
@@ -1470,11 +2499,91 @@ const ClipboardIndicator = GObject.registerClass({
         }
     }
 
+    #markItemUsed (menuItem) {
+        menuItem.entry.markUsed();
+        this._setEntryMetadata(menuItem);
+        this.#updateInCache(menuItem.entry);
+    }
+
     #pasteItem (menuItem) {
+        this.#markItemUsed(menuItem);
+
+        const { entry } = menuItem;
+        if (EXPAND_SNIPPETS && entry.isFavorite() && entry.isText() && hasPlaceholders(entry.getStringValue())) {
+            this.#pasteSnippet(entry);
+            return;
+        }
+        this.#pasteEntry(entry);
+    }
+
+    /* Pastes a pinned text with its placeholders expanded. The values of
+    input placeholders are asked for first, cancelling the dialog cancels
+    the paste. The snippet is pasted through a temporary clipboard value,
+    which the paste guard of #pasteEntry keeps out of the history along with
+    the typed values. */
+    async #pasteSnippet (entry) {
+        this.menu.close();
+
+        const text = entry.getStringValue();
+        const labels = getInputLabels(text);
+        const values = labels.length ? await new Promise(resolve => {
+            this.dialogManager.prompt(
+                _("Fill in the snippet"),
+                labels.map(label => label || _("Value")),
+                _("Paste"),
+                _("Cancel"),
+                resolve,
+                () => resolve(null)
+            );
+        }) : [];
+        if (!values) return;
+
+        const clipboard = await this.#getClipboardContent();
+        const snippet = expandSnippet(text, {
+            clipboard: clipboard?.isText() ? clipboard.getStringValue() : '',
+            inputs: Object.fromEntries(labels.map((label, i) => [label, values[i]]))
+        });
+        this.#pasteEntry(new ClipboardEntry('text/plain;charset=utf-8', snippet.text, false, false),
+            snippet.cursorOffset);
+    }
+
+    // Shift pastes text as plain text, Ctrl trimmed, both as a Markdown code block
+    #pasteWithModifiers (menuItem, state) {
+        const [, id] = MODIFIER_TRANSFORMS.find(([mask]) => (state & mask) === mask) ?? [];
+        if (id && menuItem.entry.isText())
+            this.#pasteTransformed(menuItem, getTextTransform(id));
+        else
+            this.#pasteItem(menuItem);
+    }
+
+    // Pastes the text as it was copied, before normalization
+    #pasteOriginal (menuItem) {
+        const { entry } = menuItem;
+        this.#markItemUsed(menuItem);
+        this.#pasteEntry(new ClipboardEntry(entry.mimetype(), entry.original, false, false));
+    }
+
+    /* Pastes the text of the entry transformed, through a temporary
+    clipboard value that is replaced by the selected entry afterwards */
+    #pasteTransformed (menuItem, transform) {
+        const text = transform.apply(menuItem.entry.getStringValue());
+        if (text === null) {
+            this._showNotification(_("The entry cannot be pasted as %s").format(_(transform.label)));
+            return;
+        }
+
+        this.#markItemUsed(menuItem);
+        this.#pasteEntry(new ClipboardEntry('text/plain;charset=utf-8', text, false, false));
+    }
+
+    // cursorOffset - how many characters to move the cursor back after pasting
+    #pasteEntry (entry, cursorOffset = 0) {
         this.menu.close();
         const currentlySelected = this._getCurrentlySelectedItem();
         this.preventIndicatorUpdate = true;
-        this.#updateClipboard(menuItem.entry);
+        // The pasted value and the restored selection must not be recorded as new copies
+        this.#pasteInProgress = true;
+        this.#updateClipboard(entry);
         this._pastingKeypressTimeout = setTimeout(() => {
             if (this.keyboard.purpose === Clutter.InputContentPurpose.TERMINAL) {
                 this.keyboard.press(Clutter.KEY_Control_L);
@@ -1491,18 +2600,52 @@ const ClipboardIndicator = GObject.registerClass({
                 this.keyboard.release(Clutter.KEY_Shift_L);
             }
 
+            for (let i = 0; i < cursorOffset; i++) {
+                this.keyboard.press(Clutter.KEY_Left);
+                this.keyboard.release(Clutter.KEY_Left);
+            }
+
             this._pastingResetTimeout = setTimeout(() => {
                 this.preventIndicatorUpdate = false;
-                this.#updateClipboard(currentlySelected.entry);
+                // An empty workspace has no selection to restore, e.g. after pasting a global search result
+                if (currentlySelected) this.#updateClipboard(currentlySelected.entry);
+                this.#pasteInProgress = false;
             }, 50);
         }, 50);
     }
 
+    #showPreview (menuItem) {
+        this.preview.show(menuItem, this._getDisplayText(menuItem.entry));
+    }
+
+    #hidePreview () {
+        if (this._previewTimeout) clearTimeout(this._previewTimeout);
+        this._previewTimeout = null;
+        this.preview.hide();
+    }
+
+    #onItemHover (menuItem) {
+        if (this._previewTimeout) clearTimeout(this._previewTimeout);
+        this._previewTimeout = null;
+
+        if (menuItem.hover) {
+            this._previewTimeout = setTimeout(() => {
+                this._previewTimeout = null;
+                this.#showPreview(menuItem);
+            }, PREVIEW_HOVER_DELAY);
+        }
+        else if (this.preview.menuItem === menuItem) {
+            this.preview.hide();
+        }
+    }
+
     #clearTimeouts () {
         if (this._imagePreviewTimeout) clearTimeout(this._imagePreviewTimeout);
+        if (this._previewTimeout) clearTimeout(this._previewTimeout);
         if (this._setFocusOnOpenTimeout) clearTimeout(this._setFocusOnOpenTimeout);
         if (this._pastingKeypressTimeout) clearTimeout(this._pastingKeypressTimeout);
         if (this._pastingResetTimeout) clearTimeout(this._pastingResetTimeout);
+        this.#pasteInProgress = false;
     }
 
     #clearClipboard () {
@@ -1510,14 +2653,46 @@ const ClipboardIndicator = GObject.registerClass({
         this.#updateIndicatorContent(null);
     }
 
-    #updateClipboard (entry) {
-        this.extension.clipboard.set_content(CLIPBOARD_TYPE, entry.mimetype(), entry.asBytes());
-        this.#updateIndicatorContent(entry);
+    #updateClipboard (entry, clipboardType = CLIPBOARD_TYPE) {
+        if (entry.hasExtraFormats()) {
+            const selectionType = clipboardType === PRIMARY_TYPE
+                ? Meta.SelectionType.SELECTION_PRIMARY : Meta.SelectionType.SELECTION_CLIPBOARD;
+            setSelectionFormats(selectionType, entry.getFormats());
+        }
+        else {
+            this.extension.clipboard.set_content(clipboardType, entry.mimetype(), entry.asBytes());
+        }
+        if (clipboardType === CLIPBOARD_TYPE)
+            this.#updateIndicatorContent(entry);
     }
 
-    async #getClipboardContent () {
+    #getFocusedApp () {
+        const window = global.display.focus_window;
+        if (!window) return null;
+
+        const app = Shell.WindowTracker.get_default().get_window_app(window);
+        return {
+            id: app ? app.get_id() : null,
+            wmClass: window.get_wm_class(),
+            name: app ? app.get_name() : null
+        };
+    }
+
+    #readClipboard (clipboardType, mimetype) {
+        return new Promise(resolve => {
+            this.extension.clipboard.get_content(clipboardType, mimetype, (clipBoard, bytes) => {
+                resolve(bytes === null || bytes.get_size() === 0 ? null : bytes.get_data());
+            });
+        });
+    }
+
+    async #getClipboardContent (clipboardType = CLIPBOARD_TYPE) {
         try {
-            const mimetypes = [
+            const sourceApp = this.#getFocusedApp();
+
+            let mimetypes = [
+                'x-special/gnome-copied-files',
+                'text/uri-list',
                 "text/plain;charset=utf-8",
                 "UTF8_STRING",
                 "text/plain",
@@ -1531,28 +2706,25 @@ const ClipboardIndicator = GObject.registerClass({
                 'text/html',
             ];
 
+            // The primary selection only ever carries highlighted text
+            if (clipboardType === PRIMARY_TYPE) {
+                mimetypes = mimetypes.filter(type => ClipboardEntry.isText(type));
+            }
+
             for (let type of mimetypes) {
                 try {
-                    let result = await new Promise((resolve, reject) => {
-                        this.extension.clipboard.get_content(CLIPBOARD_TYPE, type, (clipBoard, bytes) => {
-                            try {
-                                if (bytes === null || bytes.get_size() === 0) {
-                                    resolve(null);
-                                    return;
-                                }
-
-                                const entry = new ClipboardEntry(type, bytes.get_data(), false);
-                                if (entry.isImage()) {
-                                    this.registry.writeEntryFile(entry, this.activeWorkspace);
-                                }
-                                resolve(entry);
-                            } catch (e) {
-                                reject(e);
-                            }
-                        });
-                    });
+                    const bytes = await this.#readClipboard(clipboardType, type);
+                    if (!bytes) continue;
 
-                    if (result) return result;
+                    // Browsers offer links as text/uri-list too, only local files make a file entry
+                    if (ClipboardEntry.isFiles(type)) {
+                        const uris = ClipboardEntry.parseFileUris(type, bytes);
+                        if (!uris.length || !uris.every(uri => uri.startsWith('file://'))) continue;
+                    }
+
+                    const formats = clipboardType === CLIPBOARD_TYPE
+                        ? await this.#getExtraFormats(clipboardType, type) : {};
+                    return new ClipboardEntry(type, bytes, false, false, { sourceApp, formats });
                 } catch (e) {
                     console.error(`Failed to get clipboard content for type ${type}:`, e);
                     continue;
@@ -1566,6 +2738,22 @@ const ClipboardIndicator = GObject.registerClass({
         }
     }
 
+    /* Rich formats offered next to the main content, kept so that pasting the
+    entry back into an editor keeps its formatting */
+    async #getExtraFormats (clipboardType, mainType) {
+        const offered = this.extension.clipboard.get_mimetypes(clipboardType);
+        const candidates = ClipboardEntry.isFiles(mainType)
+            ? [...EXTRA_FORMATS, ...FILE_TEXT_FORMATS] : EXTRA_FORMATS;
+        const formats = {};
+        for (const type of candidates) {
+            if (type === mainType || !offered.includes(type)) continue;
+
+            const bytes = await this.#readClipboard(clipboardType, type);
+            if (bytes) formats[type] = bytes;
+        }
+        return formats;
+    }
+
     async _switchWorkspace(name) {
         try {
             // Проверяем существование workspace в списке
@@ -1574,19 +2762,17 @@ const ClipboardIndicator = GObject.registerClass({
                 return;
             }
 
-            // Сохраняем текущее состояние перед переключением
-            this._updateCache();
-            
             // Очищаем текущие элементы меню
-            this.historySection._getMenuItems().forEach(item => item.destroy());
-            this.favoritesSection._getMenuItems().forEach(item => item.destroy());
-            this.clipItemsRadioGroup = [];
+            this.#saveMemoryHistory();
+            this._clearMenuItems();
             
             // Добавляем задержку, чтобы дать время на завершение операций с файлами
             await new Promise(resolve => setTimeout(resolve, 100));
             
             // Переключим активный workspace
             this.activeWorkspace = name;
+            this.#globalEntries = null;
+            this._fetchSettings();
             
             // Сохраняем конфигурацию
             this._saveWorkspacesConfig();
@@ -1611,15 +2797,360 @@ const ClipboardIndicator = GObject.registerClass({
                 clipHistory.forEach(entry => this._addEntry(entry));
                 this._selectMenuItem(this.clipItemsRadioGroup[clipHistory.length - 1]);
             }
+            this.#applyWorkspaceSettings();
         } catch (e) {
             console.error('Failed to switch workspace:', e);
             this._showNotification(_("Failed to switch workspace"));
         }
     }
 
+    async #onEncryptionChanged () {
+        if (!await this.registry.loadEncryption()) {
+            this.#notifyCacheLocked();
+            return;
+        }
+
+        this._updateCache();
+        await this.registry.migrateEncryption(this.workspaces);
+    }
+
+    #notifyCacheLocked () {
+        this._showNotification(_("The keyring is locked, clipboard history is kept in memory only"), notif => {
+            notif.addAction(_('Unlock'), () => this.#unlockCache());
+        });
+    }
+
+    /* Retries fetching the key after the keyring was locked. The history
+    copied in the meantime only exists in memory, so it is merged with the
+    entries stored on disk before anything is written. */
+    async #unlockCache () {
+        if (!await this.registry.loadEncryption()) {
+            this.#notifyCacheLocked();
+            return;
+        }
+
+        const current = this.clipItemsRadioGroup.map(item => item.entry);
+        const selected = this._getCurrentlySelectedItem()?.entry;
+        const cached = (await this._getCache())
+            .filter(entry => !current.some(other => other.equals(entry)));
+
+        this._clearMenuItems();
+        cached.concat(current).forEach(entry => this._addEntry(entry, entry === selected, false));
+        this._removeOldestEntries();
+        this._updateCache();
+        await this.registry.migrateEncryption(this.workspaces);
+    }
+
+    // Удаляет все элементы меню, не трогая кэш
+    _clearMenuItems() {
+        this.historySection._getMenuItems().forEach(item => item.destroy());
+        this.favoritesSection._getMenuItems().forEach(item => item.destroy());
+        this.primarySection._getMenuItems().forEach(item => item.destroy());
+        this.clipItemsRadioGroup = [];
+    }
+
+    // Кнопки workspace'ов; вызывается повторно, когда список меняется вне меню
+    _fillWorkspaceButtons() {
+        const workspaceButtonsBox = this.workspaceButtonsBox;
+        workspaceButtonsBox.destroy_all_children();
+
+        // Create workspace buttons for each saved workspace
+        for (let workspaceName of this.workspaces) {
+            const buttonContent = new St.BoxLayout({
+                style_class: 'workspace-button-content'
+            });
+            
+            const label = new St.Label({
+                text: workspaceName,
+                y_align: Clutter.ActorAlign.CENTER
+            });
+            
+            // Добвляем кнопку редактирования
+            const editIcon = new St.Icon({
+                icon_name: 'document-edit-symbolic',
+                style_class: 'workspace-edit-icon',
+                icon_size: 14
+            });
+            
+            const editButton = new St.Button({
+                style_class: 'workspace-edit-button',
+                child: editIcon
+            });
+            
+            const deleteIcon = new St.Icon({
+                icon_name: 'window-close-symbolic',
+                style_class: 'workspace-delete-icon',
+                icon_size: 14
+            });
+            
+            const deleteButton = new St.Button({
+                style_class: 'workspace-delete-button',
+                child: deleteIcon
+            });
+            
+            const button = new St.Button({
+                style_class: 'workspace-button',
+                x_expand: true
+            });
+            
+            buttonContent.add_child(label);
+            buttonContent.add_child(editButton);
+            buttonContent.add_child(deleteButton);
+            button.set_child(buttonContent);
+            
+            // Добавляем обработчик для кнопки редактирования
+            editButton.connect('clicked', () => {
+                // Сохраняем старое имя (label актуален и после переименований)
+                const oldName = label.get_text();
+                
+                // Удаляем label и добавляем поле ввода
+                buttonContent.remove_child(label);
+                const entry = new St.Entry({
+                    style_class: 'workspace-name-entry',
+                    text: oldName,
+                    can_focus: true
+                });
+                buttonContent.insert_child_at_index(entry, 0);
+                
+                // Скрываем кнопки редактирования и удаления во время редактирования
+                editButton.hide();
+                deleteButton.hide();
+                
+                // Устанавливаем фокус на поле ввода
+                global.stage.set_key_focus(entry);
+                
+                // Обработчик завершения редактирования
+                entry.clutter_text.connect('activate', async () => {
+                    const newName = entry.get_text().trim();
+                    if (newName && newName !== oldName && await this._renameWorkspace(oldName, newName)) {
+                        // Обновляем label
+                        label.set_text(newName);
+                    }
+                    
+                    // Возвращаем label и кнопки обратно
+                    buttonContent.remove_child(entry);
+                    buttonContent.insert_child_at_index(label, 0);
+                    editButton.show();
+                    deleteButton.show();
+                });
+                
+                // Обработчик отмены редактирования (Esc)
+                entry.clutter_text.connect('key-press-event', (actor, event) => {
+                    if (event.get_key_symbol() === Clutter.KEY_Escape) {
+                        buttonContent.remove_child(entry);
+                        buttonContent.insert_child_at_index(label, 0);
+                        editButton.show();
+                        deleteButton.show();
+                        return Clutter.EVENT_STOP;
+                    }
+                    return Clutter.EVENT_PROPAGATE;
+                });
+            });
+            
+            // Добавляем обработчик клика для кнопки workspace
+            button.connect('clicked', () => {
+                // Получаем актуальное имя из текста label
+                const currentName = label.get_text();
+                this._switchWorkspace(currentName);
+                workspaceButtonsBox.get_children().forEach(child => {
+                    child.remove_style_pseudo_class('active');
+                });
+                button.add_style_pseudo_class('active');
+            });
+            
+            // Если это активный workspace, выделяем его
+            if (workspaceName === this.activeWorkspace) {
+                button.add_style_pseudo_class('active');
+            }
+            
+            deleteButton.connect('clicked', () => {
+                if (this.workspaces.length > 1) {
+                    // Получаем актуальное имя из текста label
+                    const currentName = label.get_text();
+                    this.dialogManager.open(
+                        _("Delete workspace \"%s\"?").format(currentName),
+                        _("Its whole history, pinned entries included, will be deleted."),
+                        _("This operation cannot be undone."),
+                        _("Delete"), _("Cancel"),
+                        () => this._deleteWorkspace(currentName)
+                    );
+                }
+            });
+            
+            workspaceButtonsBox.add_child(button);
+        }
+        
+        // Add "+" button
+        const addIcon = new St.Icon({
+            icon_name: 'list-add-symbolic',
+            style_class: 'workspace-add-icon',
+            icon_size: 16
+        });
+        
+        const addButton = new St.Button({
+            style_class: 'workspace-add-button',
+            child: addIcon
+        });
+        
+        addButton.connect('clicked', () => {
+            // Create new workspace button with entry
+            const buttonContent = new St.BoxLayout({
+                style_class: 'workspace-button-content'
+            });
+            
+            const entry = new St.Entry({
+                style_class: 'workspace-name-entry',
+                hint_text: 'Enter name...',
+                can_focus: true
+            });
+            
+            const deleteIcon = new St.Icon({
+                icon_name: 'window-close-symbolic',
+                style_class: 'workspace-delete-icon',
+                icon_size: 14
+            });
+            
+            const deleteButton = new St.Button({
+                style_class: 'workspace-delete-button',
+                child: deleteIcon
+            });
+            
+            const button = new St.Button({
+                style_class: 'workspace-button',
+                x_expand: true
+            });
+            
+            buttonContent.add_child(entry);
+            buttonContent.add_child(deleteButton);
+            button.set_child(buttonContent);
+            
+            deleteButton.connect('clicked', () => {
+                workspaceButtonsBox.remove_child(button);
+            });
+            
+            entry.clutter_text.connect('activate', () => {
+                const name = entry.get_text();
+                if (isValidWorkspaceName(name) && !this.workspaces.includes(name)) {
+                    buttonContent.remove_child(entry);
+                    const label = new St.Label({
+                        text: name,
+                        y_align: Clutter.ActorAlign.CENTER
+                    });
+                    buttonContent.insert_child_at_index(label, 0);
+                    
+                    // Добавляем новый workspace в писок
+                    this.workspaces.push(name);
+                    
+                    // Добавляем обработчик клика
+                    button.connect('clicked', () => {
+                        this._switchWorkspace(name);
+                        // Добавим визуальное выделение активного workspace
+                        workspaceButtonsBox.get_children().forEach(child => {
+                            child.remove_style_pseudo_class('active');
+                        });
+                        button.add_style_pseudo_class('active');
+                    });
+                    
+                    // Сохраняем конфигурацию
+                    this._saveWorkspacesConfig();
+                    
+                    // Автоматически переключаемся на новый workspace
+                    this._switchWorkspace(name);
+                    workspaceButtonsBox.get_children().forEach(child => {
+                        child.remove_style_pseudo_class('active');
+                    });
+                    button.add_style_pseudo_class('active');
+                }
+            });
+            
+            // Вствляем новую кнопку перед кнопкой добавления
+            const addButtonIndex = workspaceButtonsBox.get_children().indexOf(addButton);
+            workspaceButtonsBox.insert_child_at_index(button, addButtonIndex);
+            
+            global.stage.set_key_focus(entry);
+        });
+        
+        workspaceButtonsBox.add_child(addButton);
+    }
+
+    async _renameWorkspace(oldName, newName) {
+        // Обновляем имя в массиве
+        const index = this.workspaces.indexOf(oldName);
+        if (index === -1 || !isValidWorkspaceName(newName) || this.workspaces.includes(newName)) return false;
+
+        // Пробуем переименовать workspace в registry
+        if (!await this.registry.renameWorkspace(oldName, newName)) {
+            // Если произошла ошибка при переименовании, показываем уведомление
+            this._showNotification(_("Failed to rename workspace"));
+            return false;
+        }
+        this.workspaces[index] = newName;
+        if (this.defaultWorkspace === oldName) {
+            this.defaultWorkspace = newName;
+        }
+        if (this.activeWorkspace === oldName) {
+            this.#saveMemoryHistory();
+        }
+        if (this.#memoryHistories.has(oldName)) {
+            this.#memoryHistories.set(newName, this.#memoryHistories.get(oldName));
+            this.#memoryHistories.delete(oldName);
+        }
+        if (this.workspaceSettings[oldName]) {
+            this.workspaceSettings[newName] = this.workspaceSettings[oldName];
+            delete this.workspaceSettings[oldName];
+        }
+
+        // Если редактируем активный workspace, обновляем его имя
+        if (this.activeWorkspace === oldName) {
+            this.activeWorkspace = newName;
+
+            // Очищаем текущие элементы меню
+            this._clearMenuItems();
+
+            // Загружаем данные переименованного workspace
+            const clipHistory = await this._getCache();
+            clipHistory.forEach(entry => this._addEntry(entry));
+            if (clipHistory.length > 0) {
+                this._selectMenuItem(this.clipItemsRadioGroup[clipHistory.length - 1]);
+            }
+        }
+
+        // Сохраняем конфигурацию
+        this._saveWorkspacesConfig();
+        return true;
+    }
+
+    _deleteWorkspace(name) {
+        const idx = this.workspaces.indexOf(name);
+        if (idx === -1 || this.workspaces.length < 2) return;
+
+        this.workspaces.splice(idx, 1);
+        if (this.defaultWorkspace === name) {
+            this.defaultWorkspace = null;
+        }
+        delete this.workspaceSettings[name];
+        this.#memoryHistories.delete(name);
+
+        // Очищаем данные удаляемого workspace
+        this.registry.clearWorkspace(name);
+
+        // Сохраняем конфигурацию
+        this._saveWorkspacesConfig();
+        this._fillWorkspaceButtons();
+
+        // Если удаляем активный workspace, переключимся на другой
+        if (this.activeWorkspace === name) {
+            this._switchWorkspace(this.workspaces[0]);
+            this.#highlightWorkspaceButton(0);
+        }
+    }
+
     // Добавим метод для сохранения конфигурации
     _saveWorkspacesConfig() {
-        this.registry.saveWorkspacesConfig(this.workspaces, this.activeWorkspace);
+        this.registry.saveWorkspacesConfig(this.workspaces, this.activeWorkspace, {
+            defaultWorkspace: this.defaultWorkspace,
+            settings: this.workspaceSettings
+        });
     }
 
     _switchToPreviousWorkspace() {
@@ -1629,15 +3160,7 @@ const ClipboardIndicator = GObject.registerClass({
         const prevWorkspace = this.workspaces[prevIndex];
         
         this._switchWorkspace(prevWorkspace);
-        
-        // Обновляем визуальное выделение кнопок
-        const workspaceButtons = this.menu.box.get_children()
-            .find(child => child.style_class === 'workspace-buttons-container')
-            .get_children()
-            .filter(child => child.style_class === 'workspace-button'); // Фильтруем только кнопки workspace
-            
-        workspaceButtons.forEach(button => button.remove_style_pseudo_class('active'));
-        workspaceButtons[prevIndex].add_style_pseudo_class('active');
+        this.#highlightWorkspaceButton(prevIndex);
     }
 
     _switchToNextWorkspace() {
@@ -1647,14 +3170,16 @@ const ClipboardIndicator = GObject.registerClass({
         const nextWorkspace = this.workspaces[nextIndex];
         
         this._switchWorkspace(nextWorkspace);
-        
-        // Обновляем визуальное выделение кнопок
-        const workspaceButtons = this.menu.box.get_children()
-            .find(child => child.style_class === 'workspace-buttons-container')
-            .get_children()
+        this.#highlightWorkspaceButton(nextIndex);
+    }
+
+    // Обновляем визуальное выделение кнопок
+    #highlightWorkspaceButton(index) {
+        const workspaceButtons = this.workspaceButtonsBox?.get_children()
             .filter(child => child.style_class === 'workspace-button'); // Фильтруем только кнопки workspace
-            
+        if (!workspaceButtons?.[index]) return;
+
         workspaceButtons.forEach(button => button.remove_style_pseudo_class('active'));
-        workspaceButtons[nextIndex].add_style_pseudo_class('active');
+        workspaceButtons[index].add_style_pseudo_class('active');
     }
 });
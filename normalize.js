@@ -0,0 +1,38 @@
+import { PrefsFields } from './constants.js';
+
+// Normalization of copied text, applied before it is compared with the history
+
+// Zero-width and bidi control characters, and soft hyphens. A zero-width joiner
+// after a pictograph is kept, it combines emoji such as family or profession ones.
+const INVISIBLE_REGEX = /[\u200B\u200C\u200E\u200F\u00AD\u2060\uFEFF\u202A-\u202E\u2066-\u2069]|(?<!\p{Extended_Pictographic}\uFE0F?)\u200D/gu;
+
+// Steps in the order they are applied, each enabled by its boolean setting
+export const NormalizationSteps = [
+    {
+        key: PrefsFields.NORMALIZE_LINE_ENDINGS,
+        apply: text => text.replace(/\r\n?/g, '\n')
+    },
+    {
+        key: PrefsFields.STRIP_INVISIBLE_CHARS,
+        apply: text => text.replace(INVISIBLE_REGEX, '')
+    },
+    {
+        key: PrefsFields.STRIP_TRAILING_SPACES,
+        apply: text => text.replace(/[ \t]+(?=\r?\n|\r|$)/g, '')
+    },
+    {
+        key: PrefsFields.CONVERT_SMART_QUOTES,
+        apply: text => text.replace(/[\u2018\u2019\u201A\u201B]/g, '\'').replace(/[\u201C\u201D\u201E\u201F]/g, '"')
+    },
+    {
+        key: PrefsFields.STRIP_TEXT,
+        apply: text => text.trim()
+    }
+];
+
+// Applies the steps whose setting key is in enabledKeys
+export function normalizeText (text, enabledKeys) {
+    return NormalizationSteps
+        .filter(step => enabledKeys.includes(step.key))
+        .reduce((result, step) => step.apply(result), text);
+}
@@ -3,21 +3,45 @@ import GObject from 'gi://GObject';
 import Gtk from 'gi://Gtk';
 import Gdk from 'gi://Gdk';
 import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 import { PrefsFields } from './constants.js';
+import { SensitiveActions } from './sensitive.js';
+import {
+    getDataDir, getDiskUsage, getEntryCount, getExportDir, getNewExportPath, getWorkspaceDirs,
+    getWorkspacesConfigFile, isValidWorkspaceName, loadWorkspaceNames, loadWorkspacesConfig, setStoragePath
+} from './storage.js';
+import { RuleTargets, loadWorkspaceRules, saveWorkspaceRules } from './workspaceRules.js';
 
 export default class ClipboardIndicatorPreferences extends ExtensionPreferences {
     fillPreferencesWindow (window) {
         window._settings = this.getSettings();
+        setStoragePath(window._settings.get_string(PrefsFields.STORAGE_PATH));
         const settingsUI = new Settings(window._settings);
-        const page = new Adw.PreferencesPage();
+        const page = new Adw.PreferencesPage({
+            title: _('General'),
+            icon_name: 'preferences-system-symbolic'
+        });
         page.add(settingsUI.ui);
         page.add(settingsUI.behavior);
+        page.add(settingsUI.normalization);
         page.add(settingsUI.limits);
         page.add(settingsUI.topbar);
         page.add(settingsUI.notifications);
+        page.add(settingsUI.exclusions);
+        page.add(settingsUI.sensitive);
         page.add(settingsUI.shortcuts);
         window.add(page);
+
+        const workspacesPage = new Adw.PreferencesPage({
+            title: _('Workspaces'),
+            icon_name: 'view-grid-symbolic'
+        });
+        workspacesPage.add(settingsUI.workspaces);
+        workspacesPage.add(settingsUI.storage);
+        workspacesPage.add(settingsUI.transfer);
+        workspacesPage.add(settingsUI.workspaceRules);
+        window.add(workspacesPage);
     }
 }
 
@@ -34,6 +58,16 @@ class Settings {
             })
         });
 
+        this.field_primary_size = new Adw.SpinRow({
+            title: _("Primary Selection History Size"),
+            subtitle: _("0 means no limit"),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 200,
+                step_increment: 1
+            })
+        });
+
         this.field_preview_size = new Adw.SpinRow({
             title: _("Preview Size (characters)"),
             adjustment: new Gtk.Adjustment({
@@ -44,7 +78,8 @@ class Settings {
         });
 
         this.field_cache_size = new Adw.SpinRow({
-            title: _("Max cache file size (MB)"),
+            title: _("Max cache size per workspace (MB)"),
+            subtitle: _("The oldest unpinned entries are removed when it is exceeded, images included"),
             adjustment: new Gtk.Adjustment({
                 lower: 1,
                 upper: 256,
@@ -52,6 +87,51 @@ class Settings {
             })
         });
 
+        this.field_max_images = new Adw.SpinRow({
+            title: _("Max images"),
+            subtitle: _("Pinned images are not counted. 0 means no limit"),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 1000,
+                step_increment: 1
+            })
+        });
+
+        this.field_max_images_size = new Adw.SpinRow({
+            title: _("Max total size of images (MB)"),
+            subtitle: _("The oldest images are removed first. 0 means no limit"),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 4096,
+                step_increment: 10
+            })
+        });
+
+        this.field_max_image_size = new Adw.SpinRow({
+            title: _("Max size of a single image (MB)"),
+            subtitle: _("Larger images are not recorded. 0 means no limit"),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 1024,
+                step_increment: 1
+            })
+        });
+
+        this.field_max_entry_age = new Adw.SpinRow({
+            title: _("Remove entries older than"),
+            subtitle: _("Pinned entries are kept. 0 keeps entries forever"),
+            adjustment: new Gtk.Adjustment({
+                lower: 0,
+                upper: 10000,
+                step_increment: 1
+            })
+        });
+
+        this.field_max_entry_age_unit = new Adw.ComboRow({
+            title: _("Age unit"),
+            model: Gtk.StringList.new([_("Minutes"), _("Hours"), _("Days")])
+        });
+
         this.field_topbar_preview_size = new Adw.SpinRow({
             title: _("Number of characters in top bar"),
             adjustment: new Gtk.Adjustment({
@@ -74,6 +154,16 @@ class Settings {
             title: _("Cache only pinned items")
         });
 
+        this.field_memory_only = new Adw.SwitchRow({
+            title: _("Keep history in memory only"),
+            subtitle: _("Nothing is written to disk, pinned items included")
+        });
+
+        this.field_encrypt_cache = new Adw.SwitchRow({
+            title: _("Encrypt history on disk"),
+            subtitle: _("Uses a key stored in your keyring. History is kept in memory only while the keyring is locked")
+        });
+
         this.field_notification_toggle = new Adw.SwitchRow({
             title: _("Show notification on copy")
         });
@@ -86,6 +176,24 @@ class Settings {
             title: _("Remove whitespace around text")
         });
 
+        this.field_normalize_line_endings = new Adw.SwitchRow({
+            title: _("Convert line endings to LF"),
+            subtitle: _("Windows (CRLF) and old Mac (CR) line endings")
+        });
+
+        this.field_strip_trailing_spaces = new Adw.SwitchRow({
+            title: _("Remove spaces at the end of lines")
+        });
+
+        this.field_strip_invisible_chars = new Adw.SwitchRow({
+            title: _("Remove invisible characters"),
+            subtitle: _("Zero-width spaces, byte order marks, soft hyphens and direction marks")
+        });
+
+        this.field_convert_smart_quotes = new Adw.SwitchRow({
+            title: _("Convert typographic quotes to straight quotes")
+        });
+
         this.field_move_item_first = new Adw.SwitchRow({
             title: _("Move item to the top after selection")
         });
@@ -99,6 +207,11 @@ class Settings {
             subtitle: _("Adds a paste button to each entry that lets you paste it directly")
         });
 
+        this.field_show_metadata = new Adw.SwitchRow({
+            title: _("Show entry details"),
+            subtitle: _("Shows the source application, copy time and use count below each entry")
+        });
+
         this.field_pinned_on_bottom = new Adw.SwitchRow({
             title: _("Place the pinned section on the bottom"),
             subtitle: _("Requires restarting the extension")
@@ -108,25 +221,65 @@ class Settings {
             title: _("Clear clipboard history on system reboot")
         });
 
+        this.field_track_primary = new Adw.SwitchRow({
+            title: _("Track primary selection"),
+            subtitle: _("Records text highlighted with the mouse in its own section")
+        });
+
+        this.field_bind_to_desktops = new Adw.SwitchRow({
+            title: _("One workspace per virtual desktop"),
+            subtitle: _("Switching desktops switches the clipboard workspace, missing workspaces are created")
+        });
+
+        this.field_expand_snippets = new Adw.SwitchRow({
+            title: _("Expand snippet placeholders"),
+            subtitle: _("Pinned text may use {{date:%Y-%m-%d}}, {{clipboard}}, {{cursor}}, {{uuid}} and {{input:Label}}")
+        });
+
         this.ui =  new Adw.PreferencesGroup({ title: _('UI') });
         this.behavior = new Adw.PreferencesGroup({title: _('Behavior')});
         this.limits =  new Adw.PreferencesGroup({ title: _('Limits') });
         this.topbar =  new Adw.PreferencesGroup({ title: _('Topbar') });
         this.notifications =  new Adw.PreferencesGroup({ title: _('Notifications') });
         this.shortcuts =  new Adw.PreferencesGroup({ title: _('Shortcuts') });
+        this.exclusions = new Adw.PreferencesGroup({
+            title: _('Excluded Applications'),
+            description: _('Copies made in these applications (app id or WM_CLASS) are never recorded. Content marked as secret by password managers is always ignored.')
+        });
 
         this.ui.add(this.field_preview_size);
         this.ui.add(this.field_move_item_first);
-        this.ui.add(this.field_strip_text);
         this.ui.add(this.field_keep_selected_on_clear);
         this.ui.add(this.field_paste_button);
+        this.ui.add(this.field_show_metadata);
         this.ui.add(this.field_pinned_on_bottom);
 
         this.behavior.add(this.field_clear_on_boot);
+        this.behavior.add(this.field_track_primary);
+        this.behavior.add(this.field_bind_to_desktops);
+        this.behavior.add(this.field_expand_snippets);
+
+        this.normalization = new Adw.PreferencesGroup({
+            title: _('Text Normalization'),
+            description: _('Applied to copied text before it is compared with the history. The text as copied can still be pasted with "Paste original" in the menu of an entry.')
+        });
+        this.normalization.add(this.field_strip_text);
+        this.normalization.add(this.field_normalize_line_endings);
+        this.normalization.add(this.field_strip_trailing_spaces);
+        this.normalization.add(this.field_strip_invisible_chars);
+        this.normalization.add(this.field_convert_smart_quotes);
 
         this.limits.add(this.field_size);
+        this.limits.add(this.field_primary_size);
         this.limits.add(this.field_cache_size);
         this.limits.add(this.field_cache_disable);
+        this.limits.add(this.field_memory_only);
+        this.limits.add(this.field_encrypt_cache);
+        this.limits.add(this.field_max_images);
+        this.limits.add(this.field_max_images_size);
+        this.limits.add(this.field_max_image_size);
+        this.limits.add(this.field_max_entry_age);
+        this.limits.add(this.field_max_entry_age_unit);
 
         this.topbar.add(this.field_display_mode);
         this.topbar.add(this.field_topbar_preview_size);
@@ -136,11 +289,44 @@ class Settings {
         this.notifications.add(this.field_confirm_clear_toggle);
 
         this.#buildShorcuts(this.shortcuts);
+        this.sensitive = new Adw.PreferencesGroup({
+            title: _('Sensitive Content'),
+            description: _('What to do with copied text that looks like a secret. Masked entries still paste their real value until they expire.')
+        });
+
+        this.workspaces = new Adw.PreferencesGroup({
+            title: _('Workspaces'),
+            description: _('Drag rows to reorder. Changes are applied by the running extension.')
+        });
+        this.#buildWorkspaces(this.workspaces);
+
+        this.storage = new Adw.PreferencesGroup({
+            title: _('Storage'),
+            description: _('Pinned entries and the workspace list are kept in the data directory, the rest of the history in the cache directory.')
+        });
+        this.#buildStorageLocation(this.storage);
+
+        this.transfer = new Adw.PreferencesGroup({
+            title: _('Export and Import'),
+            description: _('Keep the history outside of the cache or move it to another computer. Entries already in a workspace are not imported twice.')
+        });
+        this.#buildTransfer(this.transfer);
+
+        this.workspaceRules = new Adw.PreferencesGroup({
+            title: _('Workspace Rules'),
+            description: _('Switch the clipboard workspace when a matching window gets the focus. App patterns match the app id or WM_CLASS, title patterns any part of the window title. * matches anything, the first matching rule wins.')
+        });
+        this.#buildWorkspaceRules(this.workspaceRules);
+
+        this.#buildStringList(this.exclusions, PrefsFields.EXCLUDED_APPS, _("Add application id or WM_CLASS"));
+        this.#buildSensitiveRules(this.sensitive);
 
         this.schema.bind(PrefsFields.HISTORY_SIZE, this.field_size, 'value', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.PREVIEW_SIZE, this.field_preview_size, 'value', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.CACHE_FILE_SIZE, this.field_cache_size, 'value', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.ENCRYPT_CACHE, this.field_encrypt_cache, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.CACHE_ONLY_FAVORITE, this.field_cache_disable, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.MEMORY_ONLY, this.field_memory_only, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.NOTIFY_ON_COPY, this.field_notification_toggle, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.CONFIRM_ON_CLEAR, this.field_confirm_clear_toggle, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.MOVE_ITEM_FIRST, this.field_move_item_first, 'active', Gio.SettingsBindFlags.DEFAULT);
@@ -149,10 +335,25 @@ class Settings {
         this.schema.bind(PrefsFields.DISABLE_DOWN_ARROW, this.field_disable_down_arrow, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.TOPBAR_PREVIEW_SIZE, this.field_topbar_preview_size, 'value', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.STRIP_TEXT, this.field_strip_text, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.NORMALIZE_LINE_ENDINGS, this.field_normalize_line_endings, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.STRIP_TRAILING_SPACES, this.field_strip_trailing_spaces, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.STRIP_INVISIBLE_CHARS, this.field_strip_invisible_chars, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.CONVERT_SMART_QUOTES, this.field_convert_smart_quotes, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.PASTE_BUTTON, this.field_paste_button, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.SHOW_ENTRY_METADATA, this.field_show_metadata, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.PINNED_ON_BOTTOM, this.field_pinned_on_bottom, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.ENABLE_KEYBINDING, this.field_keybinding_activation, 'active', Gio.SettingsBindFlags.DEFAULT);
         this.schema.bind(PrefsFields.CLEAR_ON_BOOT, this.field_clear_on_boot, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.MAX_IMAGES, this.field_max_images, 'value', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.MAX_IMAGES_SIZE, this.field_max_images_size, 'value', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.MAX_IMAGE_SIZE, this.field_max_image_size, 'value', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.MAX_ENTRY_AGE, this.field_max_entry_age, 'value', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.MAX_ENTRY_AGE_UNIT, this.field_max_entry_age_unit, 'selected', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.TRACK_PRIMARY, this.field_track_primary, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.BIND_TO_DESKTOPS, this.field_bind_to_desktops, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.EXPAND_SNIPPETS, this.field_expand_snippets, 'active', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.PRIMARY_HISTORY_SIZE, this.field_primary_size, 'value', Gio.SettingsBindFlags.DEFAULT);
+        this.schema.bind(PrefsFields.TRACK_PRIMARY, this.field_primary_size, 'sensitive', Gio.SettingsBindFlags.GET);
     }
 
     #createDisplayModeOptions () {
@@ -169,6 +370,597 @@ class Settings {
         return liststore;
     }
 
+    #requestStorageAction (action, workspace, options = {}) {
+        this.schema.set_string(PrefsFields.STORAGE_REQUEST,
+            JSON.stringify({ action, workspace, ...options, time: Date.now() }));
+    }
+
+    /* One row per workspace with its entry count and disk usage. Every
+    change is done by the running extension, which owns the history files:
+    the rows are refreshed once it resets the storage-request key or
+    rewrites workspaces.json. */
+    #buildWorkspaces (group) {
+        const addRow = new Adw.EntryRow({
+            title: _("Add workspace"),
+            show_apply_button: true
+        });
+        addRow.connect('apply', () => {
+            const name = addRow.get_text().trim();
+            if (this.#isValidWorkspaceName(name)) this.#requestStorageAction('create', null, { name });
+            addRow.set_text('');
+        });
+        group.add(addRow);
+
+        let rows = [];
+        const fillRows = () => {
+            rows.forEach(row => group.remove(row));
+            const { workspaces, defaultWorkspace, settings } = loadWorkspacesConfig();
+            rows = workspaces.map(workspace => {
+                const row = this.#createWorkspaceRow(workspace, workspaces,
+                    workspace === defaultWorkspace, settings[workspace]);
+                group.add(row);
+                return row;
+            });
+        };
+
+        this.schema.connect(`changed::${PrefsFields.STORAGE_REQUEST}`, () => {
+            if (!this.schema.get_string(PrefsFields.STORAGE_REQUEST)) fillRows();
+        });
+
+        // workspaces.json moves with the storage location, the extension moves the files
+        const watchConfig = () => {
+            this._workspacesMonitor?.cancel();
+            this._workspacesMonitor = Gio.File.new_for_path(getWorkspacesConfigFile())
+                .monitor_file(Gio.FileMonitorFlags.NONE, null);
+            this._workspacesMonitor.connect('changed', (_monitor, _file, _otherFile, event) => {
+                if (event === Gio.FileMonitorEvent.CHANGES_DONE_HINT || event === Gio.FileMonitorEvent.CREATED) fillRows();
+            });
+        };
+        this.schema.connect(`changed::${PrefsFields.STORAGE_PATH}`, () => {
+            setStoragePath(this.schema.get_string(PrefsFields.STORAGE_PATH));
+            watchConfig();
+            fillRows();
+        });
+
+        watchConfig();
+        fillRows();
+    }
+
+    // Directory of the pinned entries and workspaces.json, chosen with a folder dialog
+    #buildStorageLocation (group) {
+        const row = new Adw.ActionRow({
+            title: _("Storage location"),
+            subtitle_selectable: true
+        });
+        const chooseButton = new Gtk.Button({
+            label: _("Choose…"),
+            valign: Gtk.Align.CENTER
+        });
+        const resetButton = new Gtk.Button({
+            icon_name: 'edit-undo-symbolic',
+            tooltip_text: _("Use the default location"),
+            valign: Gtk.Align.CENTER,
+            css_classes: ['flat']
+        });
+        row.add_suffix(resetButton);
+        row.add_suffix(chooseButton);
+
+        const update = () => {
+            // Set after the workspaces group updated the storage path
+            row.set_subtitle(GLib.markup_escape_text(getDataDir(), -1));
+            resetButton.set_sensitive(!!this.schema.get_string(PrefsFields.STORAGE_PATH));
+        };
+
+        chooseButton.connect('clicked', () => {
+            const dialog = new Gtk.FileDialog({
+                title: _("Choose the storage location"),
+                initial_folder: Gio.File.new_for_path(getDataDir())
+            });
+            dialog.select_folder(row.get_root(), null, (_dialog, result) => {
+                try {
+                    const folder = dialog.select_folder_finish(result);
+                    if (folder?.get_path()) this.schema.set_string(PrefsFields.STORAGE_PATH, folder.get_path());
+                } catch (e) {
+                    if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED))
+                        console.error('Failed to choose the storage location:', e);
+                }
+            });
+        });
+        resetButton.connect('clicked', () => this.schema.reset(PrefsFields.STORAGE_PATH));
+
+        this.schema.connect(`changed::${PrefsFields.STORAGE_PATH}`, update);
+        group.add(row);
+        update();
+    }
+
+    #buildTransfer (group) {
+        const exportRow = new Adw.ActionRow({
+            title: _("Export all workspaces"),
+            subtitle: _("Entries, pins, images and workspace settings in a single file")
+        });
+        const exportButton = new Gtk.Button({
+            label: _("Export…"),
+            valign: Gtk.Align.CENTER
+        });
+        exportButton.connect('clicked', () => this.#chooseExportFile(group, 'all',
+            path => this.#requestStorageAction('export', null, { path })));
+        exportRow.add_suffix(exportButton);
+        group.add(exportRow);
+
+        const importRow = new Adw.ActionRow({
+            title: _("Import"),
+            subtitle: _("Workspaces missing here are created")
+        });
+        const importButton = new Gtk.Button({
+            label: _("Import…"),
+            valign: Gtk.Align.CENTER
+        });
+        importButton.connect('clicked', () => this.#chooseImportFile(group));
+        importRow.add_suffix(importButton);
+        group.add(importRow);
+    }
+
+    #createExportFilter () {
+        const filter = new Gtk.FileFilter({ name: _("Clipboard history exports") });
+        filter.add_pattern('*.json');
+        return filter;
+    }
+
+    #chooseExportFile (parent, label, callback) {
+        GLib.mkdir_with_parents(getExportDir(), 0o775);
+        const dialog = new Gtk.FileDialog({
+            title: _("Export clipboard history"),
+            initial_folder: Gio.File.new_for_path(getExportDir()),
+            initial_name: GLib.path_get_basename(getNewExportPath(label)),
+            default_filter: this.#createExportFilter()
+        });
+        dialog.save(parent.get_root(), null, (_dialog, result) => {
+            try {
+                const file = dialog.save_finish(result);
+                if (file) callback(file.get_path());
+            } catch (e) {
+                if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED))
+                    console.error('Failed to choose the export file:', e);
+            }
+        });
+    }
+
+    #chooseImportFile (parent) {
+        const dialog = new Gtk.FileDialog({
+            title: _("Import clipboard history"),
+            initial_folder: Gio.File.new_for_path(getExportDir()),
+            default_filter: this.#createExportFilter()
+        });
+        dialog.open(parent.get_root(), null, (_dialog, result) => {
+            let file;
+            try {
+                file = dialog.open_finish(result);
+            } catch (e) {
+                if (!e.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED))
+                    console.error('Failed to choose the file to import:', e);
+                return;
+            }
+
+            const modeDialog = new Adw.AlertDialog({
+                heading: _("Import clipboard history"),
+                body: _("Merge adds the entries a workspace does not have yet. Replace deletes the current history of the imported workspaces first.")
+            });
+            modeDialog.add_response('cancel', _("Cancel"));
+            modeDialog.add_response('replace', _("Replace"));
+            modeDialog.add_response('merge', _("Merge"));
+            modeDialog.set_response_appearance('replace', Adw.ResponseAppearance.DESTRUCTIVE);
+            modeDialog.set_response_appearance('merge', Adw.ResponseAppearance.SUGGESTED);
+            modeDialog.set_default_response('merge');
+            modeDialog.connect('response', (_modeDialog, response) => {
+                if (response !== 'cancel')
+                    this.#requestStorageAction('import', null, { path: file.get_path(), mode: response });
+            });
+            modeDialog.present(parent);
+        });
+    }
+
+    #isValidWorkspaceName (name) {
+        return isValidWorkspaceName(name) && !loadWorkspaceNames().includes(name);
+    }
+
+    #createWorkspaceRow (workspace, workspaces, isDefault, overrides) {
+        const count = getEntryCount(workspace);
+        const size = getWorkspaceDirs(workspace).reduce((total, dir) => total + getDiskUsage(dir), 0);
+        const details = [
+            _("%d entries").format(count),
+            GLib.format_size(size)
+        ];
+        if (isDefault) details.push(_("Opened at startup"));
+        if (overrides) details.push(_("Custom settings"));
+
+        const row = new Adw.ActionRow({
+            title: GLib.markup_escape_text(workspace, -1),
+            subtitle: details.join(' · ')
+        });
+        row.add_prefix(new Gtk.Image({ icon_name: 'list-drag-handle-symbolic' }));
+        if (isDefault) {
+            row.add_suffix(new Gtk.Image({ icon_name: 'starred-symbolic', tooltip_text: _("Default workspace") }));
+        }
+
+        const actions = new Gio.SimpleActionGroup();
+        const addAction = (name, callback) => {
+            const action = new Gio.SimpleAction({ name });
+            action.connect('activate', callback);
+            actions.add_action(action);
+        };
+        addAction('rename', () => this.#askWorkspaceName(row, _("Rename workspace"), workspace,
+            name => this.#requestStorageAction('rename', workspace, { name })));
+        addAction('duplicate', () => this.#askWorkspaceName(row, _("Duplicate workspace"), _("%s copy").format(workspace),
+            name => this.#requestStorageAction('duplicate', workspace, { name })));
+        addAction('merge', () => this.#askMergeTarget(row, workspace, workspaces));
+        addAction('default', () => this.#requestStorageAction('set-default', workspace));
+        addAction('settings', () => this.#showWorkspaceSettings(row, workspace, overrides));
+        addAction('export', () => this.#chooseExportFile(row, workspace,
+            path => this.#requestStorageAction('export', workspace, { path })));
+        addAction('compact', () => this.#requestStorageAction('compact', workspace));
+        addAction('clear', () => this.#confirm(row, _("Clear history?"),
+            _("The unpinned entries of this workspace will be deleted. Pinned entries are kept."),
+            _("Clear"), () => this.#requestStorageAction('clear', workspace)));
+        addAction('delete', () => this.#confirm(row, _("Delete workspace?"),
+            _("The whole history of \"%s\", pinned entries included, will be deleted.").format(workspace),
+            _("Delete"), () => this.#requestStorageAction('delete', workspace)));
+        actions.lookup_action('merge').enabled = workspaces.length > 1;
+        actions.lookup_action('delete').enabled = workspaces.length > 1;
+        row.insert_action_group('workspace', actions);
+
+        const menu = new Gio.Menu();
+        const editSection = new Gio.Menu();
+        editSection.append(_("Rename…"), 'workspace.rename');
+        editSection.append(_("Duplicate…"), 'workspace.duplicate');
+        editSection.append(_("Merge into…"), 'workspace.merge');
+        editSection.append(isDefault ? _("Unset default") : _("Set as default"), 'workspace.default');
+        editSection.append(_("Settings…"), 'workspace.settings');
+        menu.append_section(null, editSection);
+        const storageSection = new Gio.Menu();
+        storageSection.append(_("Export…"), 'workspace.export');
+        storageSection.append(_("Compact"), 'workspace.compact');
+        storageSection.append(_("Clear history…"), 'workspace.clear');
+        storageSection.append(_("Delete…"), 'workspace.delete');
+        menu.append_section(null, storageSection);
+
+        row.add_suffix(new Gtk.MenuButton({
+            icon_name: 'view-more-symbolic',
+            menu_model: menu,
+            valign: Gtk.Align.CENTER,
+            has_frame: false
+        }));
+
+        const dragSource = new Gtk.DragSource({ actions: Gdk.DragAction.MOVE });
+        dragSource.connect('prepare', () => Gdk.ContentProvider.new_for_value(workspace));
+        dragSource.connect('drag-begin', (_source, drag) => {
+            Gtk.DragIcon.get_for_drag(drag).set_child(new Gtk.Label({ label: workspace, margin_start: 12, margin_end: 12 }));
+        });
+        row.add_controller(dragSource);
+
+        const dropTarget = Gtk.DropTarget.new(GObject.TYPE_STRING, Gdk.DragAction.MOVE);
+        dropTarget.connect('drop', (_target, dragged) => {
+            if (dragged === workspace || !workspaces.includes(dragged)) return false;
+
+            const reordered = workspaces.filter(other => other !== dragged);
+            reordered.splice(workspaces.indexOf(workspace), 0, dragged);
+            this.#requestStorageAction('reorder', null, { workspaces: reordered });
+            return true;
+        });
+        row.add_controller(dropTarget);
+
+        return row;
+    }
+
+    #workspaceSettings = [
+        { key: PrefsFields.HISTORY_SIZE, title: _("History Size"), subtitle: _("0 means no limit"), upper: 10000 },
+        { key: PrefsFields.CACHE_FILE_SIZE, title: _("Max cache size (MB)"), lower: 1, upper: 256 },
+        { key: PrefsFields.CACHE_ONLY_FAVORITE, title: _("Cache only pinned items") },
+        { key: PrefsFields.MEMORY_ONLY, title: _("Keep history in memory only") },
+        { key: PrefsFields.MAX_IMAGES, title: _("Max images"), upper: 1000 },
+        { key: PrefsFields.MAX_IMAGES_SIZE, title: _("Max total size of images (MB)"), upper: 4096 },
+        { key: PrefsFields.MAX_IMAGE_SIZE, title: _("Max size of a single image (MB)"), upper: 1024 },
+        { key: PrefsFields.MAX_ENTRY_AGE, unitKey: PrefsFields.MAX_ENTRY_AGE_UNIT, title: _("Remove entries older than"), upper: 10000 },
+        { key: PrefsFields.NOTIFY_ON_COPY, title: _("Show notification on copy") }
+    ];
+
+    /* Each setting is an expander whose switch turns the override on; the
+    overrides are sent to the extension when the dialog is closed, if they changed. */
+    #showWorkspaceSettings (parent, workspace, overrides = {}) {
+        const settings = { ...overrides };
+        const group = new Adw.PreferencesGroup({
+            description: _('Enabled settings replace the global ones while this workspace is active.')
+        });
+
+        for (const { key, unitKey, title, subtitle, lower = 0, upper } of this.#workspaceSettings) {
+            const isBoolean = this.schema.get_value(key).get_type_string() === 'b';
+            const expander = new Adw.ExpanderRow({
+                title,
+                subtitle: subtitle ?? '',
+                show_enable_switch: true,
+                enable_expansion: key in settings
+            });
+
+            let getValues;
+            const updateSettings = () => {
+                if (expander.enable_expansion) Object.assign(settings, getValues());
+            };
+            if (isBoolean) {
+                const valueRow = new Adw.SwitchRow({
+                    title: _("Enabled"),
+                    active: settings[key] ?? this.schema.get_boolean(key)
+                });
+                getValues = () => ({ [key]: valueRow.active });
+                valueRow.connect('notify::active', updateSettings);
+                expander.add_row(valueRow);
+            } else {
+                const valueRow = new Adw.SpinRow({
+                    title: _("Value"),
+                    adjustment: new Gtk.Adjustment({ lower, upper, step_increment: 1 }),
+                    value: settings[key] ?? this.schema.get_int(key)
+                });
+                expander.add_row(valueRow);
+
+                let unitRow = null;
+                if (unitKey) {
+                    unitRow = new Adw.ComboRow({
+                        title: _("Age unit"),
+                        model: Gtk.StringList.new([_("Minutes"), _("Hours"), _("Days")]),
+                        selected: settings[unitKey] ?? this.schema.get_int(unitKey)
+                    });
+                    unitRow.connect('notify::selected', updateSettings);
+                    expander.add_row(unitRow);
+                }
+
+                getValues = () => unitRow
+                    ? { [key]: valueRow.value, [unitKey]: unitRow.selected }
+                    : { [key]: valueRow.value };
+                valueRow.connect('notify::value', updateSettings);
+            }
+
+            expander.connect('notify::enable-expansion', () => {
+                if (!expander.enable_expansion) {
+                    delete settings[key];
+                    if (unitKey) delete settings[unitKey];
+                }
+                updateSettings();
+            });
+            group.add(expander);
+        }
+
+        const page = new Adw.PreferencesPage();
+        page.add(group);
+        const dialog = new Adw.PreferencesDialog({
+            title: _("Settings of \"%s\"").format(workspace)
+        });
+        dialog.add(page);
+        dialog.connect('closed', () => {
+            const keys = Object.keys(settings);
+            const changed = keys.length !== Object.keys(overrides).length ||
+                keys.some(key => settings[key] !== overrides[key]);
+            if (changed) this.#requestStorageAction('set-settings', workspace, { settings });
+        });
+        dialog.present(parent);
+    }
+
+    #confirm (parent, heading, body, label, callback) {
+        const dialog = new Adw.AlertDialog({ heading, body });
+        dialog.add_response('cancel', _("Cancel"));
+        dialog.add_response('confirm', label);
+        dialog.set_response_appearance('confirm', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.connect('response', (_dialog, response) => {
+            if (response === 'confirm') callback();
+        });
+        dialog.present(parent);
+    }
+
+    #askWorkspaceName (parent, heading, initialName, callback) {
+        const entry = new Gtk.Entry({ text: initialName, activates_default: true });
+        const dialog = new Adw.AlertDialog({ heading, extra_child: entry, default_response: 'apply' });
+        dialog.add_response('cancel', _("Cancel"));
+        dialog.add_response('apply', _("Apply"));
+        dialog.set_response_appearance('apply', Adw.ResponseAppearance.SUGGESTED);
+
+        const updateValidity = () => {
+            dialog.set_response_enabled('apply', this.#isValidWorkspaceName(entry.get_text().trim()));
+        };
+        entry.connect('changed', updateValidity);
+        updateValidity();
+
+        dialog.connect('response', (_dialog, response) => {
+            if (response === 'apply') callback(entry.get_text().trim());
+        });
+        dialog.present(parent);
+    }
+
+    #askMergeTarget (parent, workspace, workspaces) {
+        const targets = workspaces.filter(other => other !== workspace);
+        const dropDown = new Gtk.DropDown({ model: Gtk.StringList.new(targets) });
+        const dialog = new Adw.AlertDialog({
+            heading: _("Merge workspace"),
+            body: _("The entries of \"%s\" are moved into the chosen workspace, duplicates are dropped, then \"%s\" is deleted.").format(workspace, workspace),
+            extra_child: dropDown
+        });
+        dialog.add_response('cancel', _("Cancel"));
+        dialog.add_response('merge', _("Merge"));
+        dialog.set_response_appearance('merge', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.connect('response', (_dialog, response) => {
+            if (response === 'merge')
+                this.#requestStorageAction('merge', workspace, { target: targets[dropDown.get_selected()] });
+        });
+        dialog.present(parent);
+    }
+
+    #ruleTargets = [
+        [RuleTargets.APP, _("App")],
+        [RuleTargets.TITLE, _("Window title")]
+    ];
+
+    /* Rules live in a file next to workspaces.json rather than in GSettings,
+    the extension watches it and reloads them on change. */
+    #buildWorkspaceRules (group) {
+        const targetIds = this.#ruleTargets.map(([id]) => id);
+        const targetLabels = new Gtk.StringList();
+        for (const [, label] of this.#ruleTargets) {
+            targetLabels.append(label);
+        }
+
+        const workspaces = loadWorkspaceNames();
+        const targetDropDown = new Gtk.DropDown({
+            model: targetLabels,
+            valign: Gtk.Align.CENTER
+        });
+        const workspaceDropDown = new Gtk.DropDown({
+            model: Gtk.StringList.new(workspaces),
+            valign: Gtk.Align.CENTER
+        });
+
+        const addRow = new Adw.EntryRow({
+            title: _("Add rule pattern, e.g. jetbrains-*"),
+            show_apply_button: true,
+            sensitive: workspaces.length > 0
+        });
+        addRow.add_suffix(targetDropDown);
+        addRow.add_suffix(workspaceDropDown);
+        group.add(addRow);
+
+        let rows = [];
+        const fillRows = () => {
+            rows.forEach(row => group.remove(row));
+            const rules = loadWorkspaceRules();
+            rows = rules.map((rule, index) => {
+                const targetLabel = this.#ruleTargets.find(([id]) => id === rule.target)[1];
+                const row = new Adw.ActionRow({
+                    title: GLib.markup_escape_text(rule.pattern, -1),
+                    subtitle: GLib.markup_escape_text(`${targetLabel} → ${rule.workspace}`, -1)
+                });
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    has_frame: false
+                });
+                removeButton.connect('clicked', () => {
+                    saveWorkspaceRules(loadWorkspaceRules().filter((_rule, i) => i !== index));
+                    fillRows();
+                });
+                row.add_suffix(removeButton);
+                group.add(row);
+                return row;
+            });
+        };
+
+        addRow.connect('apply', () => {
+            const pattern = addRow.get_text().trim();
+            const workspace = workspaces[workspaceDropDown.get_selected()];
+            if (pattern && workspace) {
+                const target = targetIds[targetDropDown.get_selected()];
+                saveWorkspaceRules([...loadWorkspaceRules(), { pattern, target, workspace }]);
+                fillRows();
+            }
+            addRow.set_text('');
+        });
+
+        fillRows();
+    }
+
+    /* Editable list of the strings stored in a strv key: an entry row to
+    append a value, followed by one removable row per value. */
+    #buildStringList (group, pref, addTitle) {
+        const addRow = new Adw.EntryRow({
+            title: addTitle,
+            show_apply_button: true
+        });
+
+        addRow.connect('apply', () => {
+            const value = addRow.get_text().trim();
+            const values = this.schema.get_strv(pref);
+            if (value && !values.includes(value)) {
+                this.schema.set_strv(pref, [...values, value]);
+            }
+            addRow.set_text('');
+        });
+
+        group.add(addRow);
+
+        let rows = [];
+        const fillRows = () => {
+            rows.forEach(row => group.remove(row));
+            rows = this.schema.get_strv(pref).map(value => {
+                const row = new Adw.ActionRow({ title: value });
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    has_frame: false
+                });
+                removeButton.connect('clicked', () => {
+                    const values = this.schema.get_strv(pref);
+                    this.schema.set_strv(pref, values.filter(v => v !== value));
+                });
+                row.add_suffix(removeButton);
+                group.add(row);
+                return row;
+            });
+        };
+
+        this.schema.connect(`changed::${pref}`, fillRows);
+        fillRows();
+    }
+
+    #sensitiveRules = {
+        'private-key': _("Private keys (PEM)"),
+        'jwt': _("JSON Web Tokens"),
+        'aws-key': _("AWS access keys"),
+        'github-token': _("GitHub tokens"),
+        'slack-token': _("Slack tokens and webhooks"),
+        'credit-card': _("Credit card numbers"),
+        'custom': _("Custom patterns")
+    };
+
+    #sensitiveActions = [
+        [SensitiveActions.NONE, _("Keep")],
+        [SensitiveActions.DROP, _("Don't record")],
+        [SensitiveActions.MASK, _("Mask")],
+        [SensitiveActions.EXPIRE, _("Expire")]
+    ];
+
+    #buildSensitiveRules (group) {
+        const actionIds = this.#sensitiveActions.map(([id]) => id);
+        const actionLabels = new Gtk.StringList();
+        for (const [, label] of this.#sensitiveActions) {
+            actionLabels.append(label);
+        }
+
+        for (const [rule, title] of Object.entries(this.#sensitiveRules)) {
+            const row = new Adw.ComboRow({
+                title,
+                model: actionLabels
+            });
+
+            const rules = this.schema.get_value(PrefsFields.SENSITIVE_RULES).deep_unpack();
+            row.set_selected(Math.max(0, actionIds.indexOf(rules[rule] ?? SensitiveActions.NONE)));
+
+            row.connect('notify::selected', () => {
+                const rules = this.schema.get_value(PrefsFields.SENSITIVE_RULES).deep_unpack();
+                rules[rule] = actionIds[row.get_selected()];
+                this.schema.set_value(PrefsFields.SENSITIVE_RULES, new GLib.Variant('a{ss}', rules));
+            });
+
+            group.add(row);
+        }
+
+        const expiryRow = new Adw.SpinRow({
+            title: _("Expire sensitive entries after (minutes)"),
+            adjustment: new Gtk.Adjustment({
+                lower: 1,
+                upper: 1440,
+                step_increment: 1
+            })
+        });
+        this.schema.bind(PrefsFields.SENSITIVE_EXPIRY, expiryRow, 'value', Gio.SettingsBindFlags.DEFAULT);
+        group.add(expiryRow);
+
+        this.#buildStringList(group, PrefsFields.SENSITIVE_PATTERNS, _("Add custom pattern (regular expression)"));
+    }
+
     #shortcuts = {
         [PrefsFields.BINDING_PRIVATE_MODE]: _("Private mode"),
         [PrefsFields.BINDING_TOGGLE_MENU]: _("Toggle the menu"),
@@ -0,0 +1,156 @@
+import GdkPixbuf from 'gi://GdkPixbuf';
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import Pango from 'gi://Pango';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+
+const MAX_IMAGE_SIZE = 320; // px
+const MAX_TEXT_LENGTH = 20000; // characters, longer text is cut in the preview
+const SCREEN_MARGIN = 8; // px
+
+/* Floating panel next to the menu with the full content of an entry:
+the whole text with its whitespace, or a large version of an image. */
+export class EntryPreview {
+    #actor;
+    #content;
+    #infoLabel;
+    #menuItem = null;
+
+    constructor () {
+        this.#actor = new St.BoxLayout({
+            style_class: 'ci-preview',
+            vertical: true,
+            visible: false
+        });
+
+        this.#content = new St.ScrollView({
+            style_class: 'ci-preview-content',
+            hscrollbar_policy: St.PolicyType.NEVER,
+            vscrollbar_policy: St.PolicyType.AUTOMATIC,
+            overlay_scrollbars: true
+        });
+        this.#infoLabel = new St.Label({ style_class: 'ci-preview-info' });
+
+        this.#actor.add_child(this.#content);
+        this.#actor.add_child(this.#infoLabel);
+        Main.uiGroup.add_child(this.#actor);
+    }
+
+    destroy () {
+        this.#actor.destroy();
+        this.#actor = null;
+    }
+
+    // Menu item whose entry is being previewed, or null
+    get menuItem () {
+        return this.#menuItem;
+    }
+
+    /**
+     * Shows the entry of menuItem. text is what the menu shows instead of the
+     * real content (masked secrets, file names), and is previewed as is.
+     */
+    show (menuItem, text) {
+        const { entry } = menuItem;
+        this.#menuItem = menuItem;
+
+        if (entry.isImage()) {
+            this.#showImage(entry);
+        }
+        else if (entry.isFiles()) {
+            this.#showFiles(entry);
+        }
+        else {
+            this.#showText(entry.isMasked() ? text : entry.getStringValue());
+        }
+
+        this.#actor.show();
+        Main.uiGroup.set_child_above_sibling(this.#actor, null);
+        this.#place(menuItem);
+    }
+
+    hide () {
+        this.#menuItem = null;
+        // Menu items are destroyed after the preview when the extension is disabled
+        this.#actor?.hide();
+    }
+
+    #setContent (actor) {
+        this.#content.set_child(actor);
+    }
+
+    #showText (text) {
+        const shown = text.length > MAX_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) + '…' : text;
+        const label = new St.Label({ style_class: 'ci-preview-text', text: shown });
+        label.clutter_text.line_wrap = true;
+        label.clutter_text.ellipsize = Pango.EllipsizeMode.NONE;
+        this.#setContent(new St.Bin({ child: label, x_expand: true }));
+
+        const lines = text.split('\n').length;
+        this.#infoLabel.set_text(_('%d characters · %d lines').format([...text].length, lines));
+    }
+
+    #showFiles (entry) {
+        const box = new St.BoxLayout({ vertical: true });
+        const files = entry.getFiles();
+        for (const file of files) {
+            const label = new St.Label({
+                style_class: 'ci-preview-text',
+                text: file.get_path() ?? file.get_uri()
+            });
+            if (!file.query_exists(null)) {
+                label.add_style_class_name('ci-entry-missing');
+            }
+            box.add_child(label);
+        }
+        this.#setContent(box);
+        this.#infoLabel.set_text(_('%d files').format(files.length));
+    }
+
+    #showImage (entry) {
+        const bytes = entry.asBytes();
+        const size = GLib.format_size(bytes.get_size());
+        const icon = new St.Icon({
+            gicon: Gio.BytesIcon.new(bytes),
+            icon_size: MAX_IMAGE_SIZE
+        });
+        this.#setContent(new St.Bin({ child: icon }));
+
+        try {
+            const loader = GdkPixbuf.PixbufLoader.new();
+            loader.write_bytes(bytes);
+            loader.close();
+            const pixbuf = loader.get_pixbuf();
+            const { width, height } = pixbuf;
+            icon.icon_size = Math.min(MAX_IMAGE_SIZE, Math.max(width, height));
+            this.#infoLabel.set_text(_('%d × %d px · %s').format(width, height, size));
+        } catch (e) {
+            console.error('Failed to read image dimensions:', e);
+            this.#infoLabel.set_text(size);
+        }
+    }
+
+    // Next to the menu, on the side with more room, level with the item
+    #place (menuItem) {
+        const monitor = Main.layoutManager.findMonitorForActor(menuItem) ?? Main.layoutManager.primaryMonitor;
+        const menuActor = menuItem.menu.actor;
+        const [menuX] = menuActor.get_transformed_position();
+        const [menuWidth] = menuActor.get_transformed_size();
+        const [, itemY] = menuItem.get_transformed_position();
+        const [, , width, height] = this.#actor.get_preferred_size();
+
+        const spaceRight = monitor.x + monitor.width - (menuX + menuWidth);
+        const spaceLeft = menuX - monitor.x;
+        let x = spaceRight >= width + SCREEN_MARGIN || spaceRight >= spaceLeft
+            ? menuX + menuWidth + SCREEN_MARGIN
+            : menuX - width - SCREEN_MARGIN;
+        x = Math.max(monitor.x + SCREEN_MARGIN, Math.min(x, monitor.x + monitor.width - width - SCREEN_MARGIN));
+
+        let y = Math.min(itemY, monitor.y + monitor.height - height - SCREEN_MARGIN);
+        y = Math.max(monitor.y + SCREEN_MARGIN, y);
+
+        this.#actor.set_position(Math.round(x), Math.round(y));
+    }
+}
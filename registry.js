@@ -2,108 +2,1234 @@ import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import St from 'gi://St';
 import { PrefsFields } from './constants.js';
+import { CacheCipher, KeyringLockedError, loadCacheCipher } from './encryption.js';
+import {
+    DATA_FILES, filterWorkspaceSettings, getCacheDir, getDataDir, getDiskUsage, getWorkspacesConfigFile,
+    isValidWorkspaceName, loadWorkspaceNames, resolveDataDir, setStoragePath
+} from './storage.js';
 
 const FileQueryInfoFlags = Gio.FileQueryInfoFlags;
 const FileCopyFlags = Gio.FileCopyFlags;
+const FileCreateFlags = Gio.FileCreateFlags;
 const FileTest = GLib.FileTest;
 
+// Множители для max-entry-age-unit: минуты, часы, дни
+const ENTRY_AGE_UNITS = [60 * 1000, 60 * 60 * 1000, 24 * 60 * 60 * 1000];
+
+// После стольких записей журнал сворачивается в index.json
+const JOURNAL_COMPACT_THRESHOLD = 200;
+
+// Файл экспорта: JSON с версией формата, чтобы будущие версии могли его прочитать
+const BUNDLE_FORMAT = 'clipboard-indicator-bundle';
+const BUNDLE_VERSION = 1;
+
+// Форматы скопированных файлов: Nautilus и стандартный список URI
+const GNOME_COPIED_FILES = 'x-special/gnome-copied-files';
+const FILE_MIMETYPES = [GNOME_COPIED_FILES, 'text/uri-list'];
+
+// id записи - имя её файла и слово в строке журнала, поэтому допустим только UUID
+const ENTRY_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isValidEntryId(id) {
+    return typeof id === 'string' && ENTRY_ID_REGEX.test(id);
+}
+
+// Хранилище закреплённых записей workspace'а - "pins/<workspace>", имена workspace'ов не содержат "/"
+const PINS_STORE_PREFIX = 'pins/';
+
+/* Хранилище workspace'а:
+ *   index.json    - упорядоченный (от старых к новым) список id записей
+ *   journal.log   - операции над индексом после последнего сжатия: "add|remove|move <id>"
+ *   entries/<id>.json - одна запись (для изображений без содержимого)
+ *   images/<hash> - содержимое изображений
+ * Добавление, удаление или закрепление записи стоит одного маленького файла
+ * и одной строки журнала, весь индекс перезаписывается только при сжатии.
+ * У каждого workspace'а два таких хранилища: история в кэше, который могут
+ * очистить, и закреплённые записи в каталоге данных вместе с workspaces.json. */
 export class Registry {
+    #cipher = null;
+    #indexes = new Map();
+    #storeDirs = new Set(); // хранилища, каталоги которых уже созданы
+    #queue = Promise.resolve();
+    #workspaceSettings = {};
+    #pinsMigrationPending = false;
+
     constructor(extension) {
         this.extension = extension;
-        this.cacheDir = GLib.build_filenamev([GLib.get_user_cache_dir(), 'clipboard-indicator']);
-        this.MAX_IMAGES_PER_WORKSPACE = 3;
+        // Значение storage-path, по которому сейчас лежат данные
+        this.storagePath = extension?.settings?.get_string(PrefsFields.STORAGE_PATH) ?? '';
+        setStoragePath(this.storagePath);
+        this.cacheDir = getCacheDir();
+        this.dataDir = getDataDir();
         GLib.mkdir_with_parents(this.cacheDir, 0o775);
+        GLib.mkdir_with_parents(this.dataDir, 0o775);
+        this.#migrateToDataDir();
     }
 
-    _getWorkspaceDir(workspace) {
-        if (!workspace) {
+    /* Раньше всё хранилось в кэше. Один раз переносим конфигурацию в каталог
+    данных, закреплённые записи переносит migratePinnedEntries(). */
+    #migrateToDataDir() {
+        const legacyConfig = GLib.build_filenamev([this.cacheDir, 'workspaces.json']);
+        if (GLib.file_test(getWorkspacesConfigFile(), FileTest.EXISTS) ||
+            !GLib.file_test(legacyConfig, FileTest.EXISTS)) return;
+
+        for (const name of DATA_FILES) {
+            const source = Gio.File.new_for_path(GLib.build_filenamev([this.cacheDir, name]));
+            try {
+                if (source.query_exists(null)) {
+                    source.move(Gio.File.new_for_path(GLib.build_filenamev([this.dataDir, name])),
+                        FileCopyFlags.OVERWRITE, null, null);
+                }
+            } catch (e) {
+                console.error(`Failed to move ${name} to the data directory:`, e);
+            }
+        }
+        this.#pinsMigrationPending = true;
+    }
+
+    /* Переносит закреплённые записи всех workspace'ов из кэша в каталог данных
+    после перехода на раздельное хранение. Это делает read(), так что без ключа
+    записи workspace'а перенесутся при первом чтении после разблокировки. */
+    async migratePinnedEntries(workspaces) {
+        if (!this.#pinsMigrationPending || this.isLocked()) return;
+
+        this.#pinsMigrationPending = false;
+        for (const workspace of workspaces) {
+            await this.read(workspace);
+        }
+    }
+
+    /* Переносит закреплённые записи и конфигурацию в каталог из настройки
+    storage-path. Если там уже есть workspaces.json, используются данные
+    из нового каталога, а старый остаётся как есть. Возвращает true, если
+    каталог сменился, false, если он тот же, и null, если перенести не удалось:
+    тогда данные и путь остаются прежними. */
+    relocateData(path) {
+        return this.#enqueue(() => {
+            const target = resolveDataDir(path);
+            if (target === this.dataDir) {
+                this.storagePath = path;
+                return false;
+            }
+
+            // Список workspace'ов читаем из текущего каталога, пока путь не сменился
+            const names = [...DATA_FILES, ...loadWorkspaceNames()];
+            GLib.mkdir_with_parents(target, 0o775);
+            if (!GLib.file_test(GLib.build_filenamev([target, 'workspaces.json']), FileTest.EXISTS)) {
+                this.#moveDataFiles(names, this.dataDir, target);
+            }
+
+            setStoragePath(path);
+            this.storagePath = path;
+            this.dataDir = target;
+            // Индексы закреплённых записей читались из старого каталога
+            for (const store of new Set([...this.#indexes.keys(), ...this.#storeDirs])) {
+                if (store.startsWith(PINS_STORE_PREFIX)) this.#forgetStore(store);
+            }
+            return true;
+        }).then(done => done ?? null);
+    }
+
+    /* Переносит только свои файлы: в выбранном каталоге может лежать что-то ещё.
+    Если перенос не удался, уже перенесённое возвращается на место, чтобы
+    workspaces.json и закреплённые записи не оказались в разных каталогах. */
+    #moveDataFiles(names, sourceDir, targetDir) {
+        const moved = [];
+        try {
+            for (const name of names) {
+                const source = Gio.File.new_for_path(GLib.build_filenamev([sourceDir, name]));
+                if (!source.query_exists(null)) continue;
+
+                this.#moveRecursive(source, Gio.File.new_for_path(GLib.build_filenamev([targetDir, name])));
+                moved.push(name);
+            }
+        } catch (e) {
+            for (const name of moved.reverse()) {
+                try {
+                    this.#moveRecursive(Gio.File.new_for_path(GLib.build_filenamev([targetDir, name])),
+                        Gio.File.new_for_path(GLib.build_filenamev([sourceDir, name])));
+                } catch (restoreError) {
+                    console.error(`Failed to move ${name} back to ${sourceDir}:`, restoreError);
+                }
+            }
+            throw e;
+        }
+    }
+
+    isEncryptionEnabled() {
+        return !!this.extension?.settings?.get_boolean(PrefsFields.ENCRYPT_CACHE);
+    }
+
+    // Шифрование включено, но ключ недоступен: на диск ничего не пишем
+    isLocked() {
+        return this.isEncryptionEnabled() && !this.#cipher;
+    }
+
+    // Файл с отпечатком ключа, которым зашифрованы данные
+    _getEncryptionMarkerFile() {
+        return GLib.build_filenamev([this.dataDir, 'encryption.json']);
+    }
+
+    #readEncryptionMarker() {
+        const path = this._getEncryptionMarkerFile();
+        if (!GLib.file_test(path, FileTest.EXISTS)) return null;
+
+        try {
+            const [, contents] = GLib.file_get_contents(path);
+            return JSON.parse(new TextDecoder().decode(contents)).keyId;
+        } catch (e) {
+            console.error('Failed to read encryption marker:', e);
+            return null;
+        }
+    }
+
+    /* Загружает ключ из связки ключей. Нужен и при выключенном шифровании, если
+    на диске остались зашифрованные данные, чтобы их можно было расшифровать.
+    Возвращает false, если ключ получить не удалось. */
+    async loadEncryption() {
+        // Индексы, прочитанные без ключа, могли оказаться пустыми
+        this.#indexes.clear();
+
+        const keyId = this.#readEncryptionMarker();
+        if (!this.isEncryptionEnabled() && !keyId) {
+            this.#cipher = null;
+            return true;
+        }
+
+        try {
+            const cipher = await loadCacheCipher(!keyId);
+            if (keyId && cipher.keyId !== keyId) {
+                throw new KeyringLockedError('The keyring key does not match the encrypted cache');
+            }
+            this.#cipher = cipher;
+        } catch (e) {
+            console.error('Clipboard cache encryption unavailable:', e);
+            this.#cipher = null;
+            return false;
+        }
+
+        if (this.isEncryptionEnabled() && !keyId) {
+            GLib.file_set_contents(this._getEncryptionMarkerFile(),
+                new TextEncoder().encode(JSON.stringify({ keyId: this.#cipher.keyId })));
+        }
+        return true;
+    }
+
+    /* Перезаписывает все файлы workspace'ов в текущем режиме: шифрует открытые
+    данные после включения шифрования или расшифровывает их после выключения */
+    async migrateEncryption(workspaces) {
+        if (this.isLocked()) return;
+
+        for (const workspace of workspaces) {
+            const entries = await this.read(workspace);
+            await this.write(entries, workspace);
+
+            await this.#enqueue(async () => {
+                for (const store of this.#getStores(workspace)) {
+                    for (const file of await this.#getWorkspaceImageFiles(store)) {
+                        const bytes = await this.#readFile(file.get_path());
+                        if (bytes) await this.#writeFile(file.get_path(), bytes);
+                    }
+                }
+            });
+        }
+
+        if (!this.isEncryptionEnabled() && this.#cipher) {
+            GLib.unlink(this._getEncryptionMarkerFile());
+            this.#cipher = null;
+        }
+    }
+
+    // Последовательно выполняет операции с диском, чтобы записи не перемешивались
+    #enqueue(task) {
+        this.#queue = this.#queue.then(task).catch(e => {
+            console.error('Clipboard cache operation failed:', e);
+        });
+        return this.#queue;
+    }
+
+    // Асинхронно читает файл; null, если файла нет
+    #loadFile(path) {
+        return new Promise((resolve, reject) => {
+            Gio.File.new_for_path(path).load_contents_async(null, (source, result) => {
+                try {
+                    const [, contents] = source.load_contents_finish(result);
+                    resolve(contents);
+                } catch (e) {
+                    if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) resolve(null);
+                    else reject(e);
+                }
+            });
+        });
+    }
+
+    #replaceFile(path, bytes) {
+        return new Promise((resolve, reject) => {
+            Gio.File.new_for_path(path).replace_contents_bytes_async(GLib.Bytes.new(bytes), null, false,
+                FileCreateFlags.REPLACE_DESTINATION, null, (source, result) => {
+                    try {
+                        resolve(source.replace_contents_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+        });
+    }
+
+    async #appendFile(path, bytes) {
+        const file = Gio.File.new_for_path(path);
+        const stream = await new Promise((resolve, reject) => {
+            file.append_to_async(FileCreateFlags.NONE, GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                try {
+                    resolve(source.append_to_finish(result));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+
+        try {
+            await this.#writeStream(stream, bytes);
+        } finally {
+            await this.#closeStream(stream).catch(e => console.error('Failed to close cache file:', e));
+        }
+    }
+
+    // Поток, заменяющий файл целиком при успешном закрытии
+    #createFileStream(path) {
+        return new Promise((resolve, reject) => {
+            Gio.File.new_for_path(path).replace_async(null, false, FileCreateFlags.REPLACE_DESTINATION,
+                GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                    try {
+                        resolve(source.replace_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+        });
+    }
+
+    #writeStream(stream, bytes) {
+        return new Promise((resolve, reject) => {
+            stream.write_bytes_async(GLib.Bytes.new(bytes), GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                try {
+                    resolve(source.write_bytes_finish(result));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    // С отменённым cancellable поток от replace_async закрывается, не трогая файл
+    #closeStream(stream, cancellable = null) {
+        return new Promise((resolve, reject) => {
+            stream.close_async(GLib.PRIORITY_DEFAULT, cancellable, (source, result) => {
+                try {
+                    resolve(source.close_finish(result));
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        });
+    }
+
+    #deleteFile(path) {
+        return new Promise(resolve => {
+            Gio.File.new_for_path(path).delete_async(GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                try {
+                    source.delete_finish(result);
+                } catch (e) {
+                    if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+                        console.error('Failed to delete cache file:', e);
+                }
+                resolve();
+            });
+        });
+    }
+
+    // Читает файл, расшифровывая его при необходимости; null, если файла или ключа нет
+    async #readFile(path) {
+        const contents = await this.#loadFile(path);
+        if (!contents) return null;
+
+        if (!CacheCipher.isEncrypted(contents)) return contents;
+        if (!this.#cipher) {
+            console.error('Cannot decrypt cache file without the keyring key:', path);
+            return null;
+        }
+        return this.#cipher.decrypt(contents);
+    }
+
+    // Записывает файл, шифруя его при включённом шифровании
+    async #writeFile(path, bytes) {
+        if (!this.isEncryptionEnabled()) {
+            await this.#replaceFile(path, bytes);
+            return true;
+        }
+        if (!this.#cipher) return false;
+
+        await this.#replaceFile(path, await this.#cipher.encrypt(bytes));
+        return true;
+    }
+
+    // Значение, переопределённое для workspace'а в workspaces.json, или undefined
+    getWorkspaceSetting(workspace, key) {
+        return this.#workspaceSettings[workspace]?.[key];
+    }
+
+    // Максимальный возраст записей workspace'а в мс, 0 - без ограничения
+    getMaxEntryAge(workspace) {
+        const settings = this.extension?.settings;
+        if (!settings) return 0;
+
+        const age = this.getWorkspaceSetting(workspace, PrefsFields.MAX_ENTRY_AGE) ??
+            settings.get_int(PrefsFields.MAX_ENTRY_AGE);
+        const unit = this.getWorkspaceSetting(workspace, PrefsFields.MAX_ENTRY_AGE_UNIT) ??
+            settings.get_int(PrefsFields.MAX_ENTRY_AGE_UNIT);
+        return age * (ENTRY_AGE_UNITS[unit] ?? ENTRY_AGE_UNITS[0]);
+    }
+
+    // Лимит места на диске для workspace'а в байтах, с учётом его переопределения
+    getCacheSizeLimit(workspace) {
+        const settings = this.extension?.settings;
+        if (!settings) return 0;
+
+        const size = this.getWorkspaceSetting(workspace, PrefsFields.CACHE_FILE_SIZE) ??
+            settings.get_int(PrefsFields.CACHE_FILE_SIZE);
+        return size * 1024 * 1024;
+    }
+
+    /* Место, занятое хранилищем: записи, индекс, журнал и изображения.
+    Обход каталога дорог, поэтому он делается только при загрузке индекса
+    и полной перезаписи, дальше сумма обновляется по записанным и удалённым файлам. */
+    #measureUsage(index, store) {
+        index.usage = getDiskUsage(this._getWorkspaceDir(store));
+    }
+
+    #adjustUsage(store, delta) {
+        const index = this.#indexes.get(store);
+        if (index) index.usage += delta;
+    }
+
+    // Записывает файл хранилища, учитывая изменение его размера
+    async #writeStoreFile(store, path, bytes) {
+        const before = await this.#queryFileSize(path) ?? 0;
+        const written = await this.#writeFile(path, bytes);
+        this.#adjustUsage(store, (await this.#queryFileSize(path) ?? 0) - before);
+        return written;
+    }
+
+    async #deleteStoreFile(store, path) {
+        const size = await this.#queryFileSize(path) ?? 0;
+        await this.#deleteFile(path);
+        this.#adjustUsage(store, -size);
+        return size;
+    }
+
+    #getPinsStore(workspace) {
+        return PINS_STORE_PREFIX + workspace;
+    }
+
+    // История и закреплённые записи workspace'а
+    #getStores(workspace) {
+        return [workspace, this.#getPinsStore(workspace)];
+    }
+
+    // Хранилище, в котором должна лежать запись
+    #getStoreOf(entry, workspace) {
+        return entry.isFavorite() ? this.#getPinsStore(workspace) : workspace;
+    }
+
+    #getOtherStore(entry, workspace) {
+        return entry.isFavorite() ? workspace : this.#getPinsStore(workspace);
+    }
+
+    // store - имя workspace'а для его истории или pins/<workspace> для закреплённых записей
+    _getWorkspaceDir(store) {
+        if (!store) {
             console.error('Workspace name is undefined');
-            workspace = 'default';
+            store = 'default';
         }
-        const dir = GLib.build_filenamev([this.cacheDir, workspace]);
-        GLib.mkdir_with_parents(dir, 0o775);
+        const dir = this.#getStorePath(store);
+        if (!this.#storeDirs.has(store)) GLib.mkdir_with_parents(dir, 0o775);
         return dir;
     }
 
-    _getCacheFile(workspace) {
+    #getStorePath(store) {
+        return store.startsWith(PINS_STORE_PREFIX)
+            ? GLib.build_filenamev([this.dataDir, store.slice(PINS_STORE_PREFIX.length)])
+            : GLib.build_filenamev([this.cacheDir, store]);
+    }
+
+    // Кэш в старом формате: все записи одним файлом
+    _getLegacyCacheFile(workspace) {
         return GLib.build_filenamev([this._getWorkspaceDir(workspace), 'clipboard.json']);
     }
 
+    _getIndexFile(workspace) {
+        return GLib.build_filenamev([this._getWorkspaceDir(workspace), 'index.json']);
+    }
+
+    _getJournalFile(workspace) {
+        return GLib.build_filenamev([this._getWorkspaceDir(workspace), 'journal.log']);
+    }
+
+    _getEntriesDir(workspace) {
+        const dir = GLib.build_filenamev([this._getWorkspaceDir(workspace), 'entries']);
+        if (!this.#storeDirs.has(workspace)) GLib.mkdir_with_parents(dir, 0o775);
+        return dir;
+    }
+
+    _getEntryFile(workspace, id) {
+        return GLib.build_filenamev([this._getEntriesDir(workspace), `${id}.json`]);
+    }
+
     _getImagesCacheDir(workspace) {
-        return this._getWorkspaceDir(workspace);
+        const dir = GLib.build_filenamev([this._getWorkspaceDir(workspace), 'images']);
+        if (!this.#storeDirs.has(workspace)) GLib.mkdir_with_parents(dir, 0o775);
+        return dir;
+    }
+
+    #entryFromJSON(json, bytes, fallbackTime) {
+        if (bytes === undefined) {
+            bytes = Array.isArray(json.content) ? new Uint8Array(json.content) : json.content;
+        }
+        return new ClipboardEntry(
+            json.mimeType || json.mimetype,
+            bytes,
+            json.favorite || false,
+            json.primary || false,
+            {
+                // Недопустимый id заменяется новым
+                id: isValidEntryId(json.id) ? json.id : undefined,
+                firstCopied: json.firstCopied ?? fallbackTime,
+                lastUsed: json.lastUsed ?? json.firstCopied ?? fallbackTime,
+                lastCopied: json.lastCopied ?? json.firstCopied ?? fallbackTime,
+                sourceApp: json.sourceApp ?? null,
+                useCount: json.useCount ?? 0,
+                masked: json.masked ?? false,
+                expiresAt: json.expiresAt ?? null,
+                original: json.original ?? null,
+                formats: Object.fromEntries(Object.entries(json.formats ?? {})
+                    .map(([mimetype, data]) => [mimetype, GLib.base64_decode(data)]))
+            }
+        );
+    }
+
+    // Загружает индекс workspace'а: index.json плюс операции из журнала
+    async #loadIndex(workspace) {
+        if (this.#indexes.has(workspace)) return this.#indexes.get(workspace);
+        await this.#ensureStoreDirs(workspace);
+
+        if (!GLib.file_test(this._getIndexFile(workspace), FileTest.EXISTS) &&
+            GLib.file_test(this._getLegacyCacheFile(workspace), FileTest.EXISTS)) {
+            await this.#migrateLegacyCache(workspace);
+            if (this.#indexes.has(workspace)) return this.#indexes.get(workspace);
+        }
+
+        const decoder = new TextDecoder();
+        const indexBytes = await this.#loadFile(this._getIndexFile(workspace));
+        let ids = indexBytes ? JSON.parse(decoder.decode(indexBytes)).filter(isValidEntryId) : [];
+
+        const journalBytes = await this.#loadFile(this._getJournalFile(workspace));
+        const operations = journalBytes ? decoder.decode(journalBytes).split('\n').filter(line => line) : [];
+        for (const operation of operations) {
+            const [type, id] = operation.split(' ');
+            if (!isValidEntryId(id)) continue;
+            if (type === 'add' || type === 'move' || type === 'remove') {
+                ids = ids.filter(other => other !== id);
+            }
+            if (type === 'add' || type === 'move') {
+                ids.push(id);
+            }
+        }
+
+        const index = { ids, journalLength: operations.length };
+        this.#measureUsage(index, workspace);
+        this.#indexes.set(workspace, index);
+        return index;
+    }
+
+    // Переводит clipboard.json старого формата в индекс и файлы записей
+    async #migrateLegacyCache(workspace) {
+        if (this.isLocked()) return;
+
+        const path = this._getLegacyCacheFile(workspace);
+        const contents = await this.#readFile(path);
+        // Без ключа зашифрованный кэш не перенести, попробуем позже
+        if (!contents) return;
+
+        // Старые файлы кэша не содержат времени копирования, берём время изменения файла
+        const fallbackTime = this.#getModificationTime(path);
+        const entries = JSON.parse(new TextDecoder().decode(contents)).map(json => {
+            try {
+                return this.#entryFromJSON(json, undefined, fallbackTime);
+            } catch (e) {
+                console.error('Failed to create ClipboardEntry:', e);
+                return null;
+            }
+        }).filter(entry => entry !== null);
+
+        await this.#writeAll(entries, workspace);
+
+        // Изображения лежали рядом с clipboard.json, теперь они в images/
+        const dir = Gio.File.new_for_path(this._getWorkspaceDir(workspace));
+        const enumerator = dir.enumerate_children('standard::*', FileQueryInfoFlags.NONE, null);
+        let fileInfo;
+        while ((fileInfo = enumerator.next_file(null))) {
+            const name = fileInfo.get_name();
+            if (fileInfo.get_file_type() === Gio.FileType.REGULAR && name !== 'index.json') {
+                await this.#deleteStoreFile(workspace, dir.get_child(name).get_path());
+            }
+        }
+    }
+
+    async #readEntryJSON(workspace, id) {
+        const contents = await this.#readFile(this._getEntryFile(workspace, id));
+        return contents ? JSON.parse(new TextDecoder().decode(contents)) : null;
+    }
+
+    async #readEntry(workspace, id) {
+        const json = await this.#readEntryJSON(workspace, id);
+        if (!json) return null;
+
+        let bytes;
+        if (json.imageHash) {
+            bytes = await this.#readFile(this.#getImagePathForHash(json.imageHash, workspace));
+            // Файл изображения удалён, запись показать нечем
+            if (!bytes) return null;
+        }
+
+        const entry = this.#entryFromJSON(json, bytes, Date.now());
+        /* Старые версии называли файлы изображений по 32-битному хэшу начала
+        файла. Переписываем запись под SHA-256, старый файл удалит read(). */
+        if (json.imageHash && json.imageHash !== entry.imageHash && !this.isLocked()) {
+            await this.#writeEntry(entry, workspace);
+        }
+        return entry;
+    }
+
+    async #writeEntry(entry, workspace) {
+        await this.#ensureStoreDirs(workspace);
+        if (entry.isImage()) {
+            const imagePath = this.#getImagePathForHash(entry.imageHash, workspace);
+            if (await this.#queryFileSize(imagePath) === null) {
+                await this.#writeStoreFile(workspace, imagePath, entry.asBytes().get_data());
+            }
+        }
+        return this.#writeStoreFile(workspace, this._getEntryFile(workspace, entry.id),
+            new TextEncoder().encode(JSON.stringify(entry.toJSON())));
+    }
+
+    // Индекс в памяти к этому моменту уже должен содержать изменение
+    async #appendJournal(workspace, type, id) {
+        const index = await this.#loadIndex(workspace);
+        const line = new TextEncoder().encode(`${type} ${id}\n`);
+        await this.#appendFile(this._getJournalFile(workspace), line);
+        index.journalLength++;
+        index.usage += line.length;
+
+        if (index.journalLength >= JOURNAL_COMPACT_THRESHOLD) {
+            await this.#compact(workspace);
+        }
+    }
+
+    // Сворачивает журнал в index.json
+    async #compact(workspace) {
+        const index = await this.#loadIndex(workspace);
+        const indexPath = this._getIndexFile(workspace);
+        const before = await this.#queryFileSize(indexPath) ?? 0;
+        await this.#replaceFile(indexPath, new TextEncoder().encode(JSON.stringify(index.ids)));
+        index.usage += (await this.#queryFileSize(indexPath) ?? 0) - before;
+        await this.#deleteStoreFile(workspace, this._getJournalFile(workspace));
+        index.journalLength = 0;
     }
 
+    // Закреплённые записи и история workspace'а вместе, по времени последнего использования
     async read(workspace) {
-        const path = this._getCacheFile(workspace);
-        if (!GLib.file_test(path, FileTest.EXISTS)) {
-            return [];
+        let fresh = [];
+        await this.#enqueue(async () => {
+            const maxAge = this.getMaxEntryAge(workspace);
+            const pinned = await this.#readStore(this.#getPinsStore(workspace), maxAge);
+            const history = await this.#readStore(workspace, maxAge);
+
+            /* Записи, закреплённые до переноса закреплённых в каталог данных,
+            лежат в кэше; туда же могла попасть запись, открепление которой
+            не успело записаться. Переносим их в нужное хранилище. */
+            if (!this.isLocked()) {
+                for (const entry of history.filter(entry => entry.isFavorite())) {
+                    await this.#moveToStore(entry, workspace, this.#getPinsStore(workspace));
+                }
+                for (const entry of pinned.filter(entry => !entry.isFavorite())) {
+                    await this.#moveToStore(entry, this.#getPinsStore(workspace), workspace);
+                }
+            }
+
+            fresh = this.#interleave(pinned, history);
+        });
+        return fresh;
+    }
+
+    // Записи одного хранилища без устаревших; устаревшие удаляются с диска
+    async #readStore(store, maxAge) {
+        const index = await this.#loadIndex(store);
+        const loaded = [];
+        for (const id of index.ids) {
+            try {
+                const entry = await this.#readEntry(store, id);
+                if (entry) loaded.push(entry);
+            } catch (e) {
+                console.error('Failed to read clipboard entry:', e);
+            }
+        }
+        const now = Date.now();
+        const fresh = loaded.filter(entry => !entry.isExpired(now, maxAge));
+        if (this.isLocked()) return fresh;
+
+        index.imageRefs = new Map();
+        loaded.forEach(entry => this.#addImageRef(index, entry));
+
+        // Устаревшие записи удаляем сразу при загрузке, вместе с файлами изображений
+        for (const entry of loaded.filter(entry => entry.isExpired(now, maxAge))) {
+            await this.#removeEntryById(entry.id, store);
+        }
+
+        await this.#deleteUnreferencedImages(store);
+        return fresh;
+    }
+
+    async #moveToStore(entry, source, target) {
+        await this.#writeEntry(entry, target);
+        const index = await this.#loadIndex(target);
+        if (!index.ids.includes(entry.id)) {
+            index.ids.push(entry.id);
+            await this.#appendJournal(target, 'add', entry.id);
+        }
+        await this.#trackImage(entry, target);
+        await this.#removeEntryById(entry.id, source);
+    }
+
+    // Сливает два хранилища по времени использования, сохраняя порядок внутри каждого
+    #interleave(pinned, history) {
+        const entries = [];
+        let i = 0;
+        let j = 0;
+        while (i < pinned.length || j < history.length) {
+            if (j >= history.length || (i < pinned.length && pinned[i].lastUsed <= history[j].lastUsed)) {
+                entries.push(pinned[i++]);
+            } else {
+                entries.push(history[j++]);
+            }
         }
+        return entries;
+    }
 
+    #getModificationTime(path) {
         try {
-            const [success, contents] = GLib.file_get_contents(path);
-            if (!success) {
-                return [];
+            const info = Gio.File.new_for_path(path).query_info('time::modified', FileQueryInfoFlags.NONE, null);
+            return info.get_modification_date_time().to_unix() * 1000;
+        } catch (e) {
+            return Date.now();
+        }
+    }
+
+    /* Полностью заменяет содержимое workspace'а, заодно сжимая журнал.
+    Как и остальные операции записи, возвращает id записей, вытесненных
+    из-за лимита cache-size, чтобы их можно было убрать из меню. */
+    write(entries, workspace) {
+        return this.#enqueue(async () => {
+            await this.#writeAll(entries.filter(entry => entry.isFavorite()), this.#getPinsStore(workspace));
+            await this.#writeAll(entries.filter(entry => !entry.isFavorite()), workspace);
+            return this.#enforceSizeLimit(workspace);
+        });
+    }
+
+    async #writeAll(entries, workspace) {
+        if (this.isLocked()) return;
+        await this.#ensureStoreDirs(workspace);
+
+        for (const entry of entries) {
+            await this.#writeEntry(entry, workspace);
+        }
+
+        const index = { ids: entries.map(entry => entry.id), journalLength: 0, imageRefs: new Map(), usage: 0 };
+        entries.forEach(entry => this.#addImageRef(index, entry));
+        this.#indexes.set(workspace, index);
+        await this.#compact(workspace);
+
+        // Удаляем файлы записей, которых больше нет в индексе
+        const ids = new Set(entries.map(entry => `${entry.id}.json`));
+        const dir = this._getEntriesDir(workspace);
+        for (const name of await this.#listFiles(dir)) {
+            if (!ids.has(name)) {
+                await this.#deleteFile(GLib.build_filenamev([dir, name]));
             }
+        }
+        await this.#deleteUnreferencedImages(workspace);
+        this.#measureUsage(index, workspace);
+    }
 
-            const decoder = new TextDecoder();
-            const entries = JSON.parse(decoder.decode(contents));
-            return entries.map(entry => {
+    // Какие записи ссылаются на каждое изображение: hash -> Set(id)
+    async #getImageRefs(workspace) {
+        const index = await this.#loadIndex(workspace);
+        if (!index.imageRefs) {
+            index.imageRefs = new Map();
+            for (const id of index.ids) {
                 try {
-                    let bytes;
-                    if (Array.isArray(entry.content)) {
-                        bytes = new Uint8Array(entry.content);
-                    } else {
-                        bytes = entry.content;
-                    }
-                    return new ClipboardEntry(
-                        entry.mimeType || entry.mimetype,
-                        bytes,
-                        entry.favorite || false
-                    );
+                    const json = await this.#readEntryJSON(workspace, id);
+                    if (json?.imageHash) this.#addImageRef(index, { id, imageHash: json.imageHash });
                 } catch (e) {
-                    console.error('Failed to create ClipboardEntry:', e);
-                    return null;
+                    console.error('Failed to read clipboard entry:', e);
                 }
-            }).filter(entry => entry !== null);
-        } catch (e) {
-            console.error('Failed to read clipboard cache file:', e);
-            return [];
+            }
         }
+        return index.imageRefs;
     }
 
-    write(entries, workspace) {
-        const path = this._getCacheFile(workspace);
+    #addImageRef(index, { id, imageHash }) {
+        if (!imageHash || !index.imageRefs) return;
+        if (!index.imageRefs.has(imageHash)) index.imageRefs.set(imageHash, new Set());
+        index.imageRefs.get(imageHash).add(id);
+    }
+
+    async #trackImage(entry, workspace) {
+        if (!entry.isImage()) return;
+        await this.#getImageRefs(workspace);
+        this.#addImageRef(await this.#loadIndex(workspace), entry);
+    }
+
+    // Удаляет файлы изображений, на которые не ссылается ни одна запись
+    async #deleteUnreferencedImages(workspace) {
+        const imageRefs = await this.#getImageRefs(workspace);
+        for (const file of await this.#getWorkspaceImageFiles(workspace)) {
+            if (!imageRefs.has(file.get_basename())) {
+                await this.#deleteStoreFile(workspace, file.get_path());
+            }
+        }
+    }
+
+    /* Возвращает id вытесненных записей или null, если запись не сохранена
+    (кэш заблокирован или запись на диск не удалась) */
+    addEntry(entry, workspace) {
+        return this.#enqueue(async () => {
+            if (this.isLocked()) return null;
+            const store = this.#getStoreOf(entry, workspace);
+            if (!await this.#writeEntry(entry, store)) return null;
+            const index = await this.#loadIndex(store);
+            index.ids = index.ids.filter(id => id !== entry.id).concat(entry.id);
+            await this.#appendJournal(store, 'add', entry.id);
+            await this.#trackImage(entry, store);
+            await this.#removeEntryById(entry.id, this.#getOtherStore(entry, workspace));
+            return this.#enforceSizeLimit(workspace);
+        }).then(ids => ids ?? null);
+    }
+
+    /* Перезаписывает файл записи (закрепление, метаданные), добавляя её при
+    необходимости. Закрепление переносит запись в другое хранилище. */
+    updateEntry(entry, workspace) {
+        return this.#enqueue(async () => {
+            if (this.isLocked()) return;
+            const store = this.#getStoreOf(entry, workspace);
+            await this.#writeEntry(entry, store);
+            const index = await this.#loadIndex(store);
+            if (!index.ids.includes(entry.id)) {
+                index.ids.push(entry.id);
+                await this.#appendJournal(store, 'add', entry.id);
+            }
+            await this.#trackImage(entry, store);
+            await this.#removeEntryById(entry.id, this.#getOtherStore(entry, workspace));
+            return this.#enforceSizeLimit(workspace);
+        });
+    }
+
+    // Переносит запись в конец истории (самая новая)
+    moveEntryToEnd(entry, workspace) {
+        return this.#enqueue(async () => {
+            if (this.isLocked()) return;
+            const store = this.#getStoreOf(entry, workspace);
+            await this.#writeEntry(entry, store);
+            const index = await this.#loadIndex(store);
+            index.ids = index.ids.filter(id => id !== entry.id).concat(entry.id);
+            await this.#appendJournal(store, 'move', entry.id);
+            await this.#trackImage(entry, store);
+            await this.#removeEntryById(entry.id, this.#getOtherStore(entry, workspace));
+            return this.#enforceSizeLimit(workspace);
+        });
+    }
+
+    removeEntry(entry, workspace) {
+        return this.#enqueue(async () => {
+            for (const store of this.#getStores(workspace)) {
+                await this.#removeEntryById(entry.id, store);
+            }
+        });
+    }
+
+    /* Удаляет запись, а вместе с ней и файл изображения, если на него больше
+    никто не ссылается. Возвращает число освобождённых байт. */
+    async #removeEntryById(id, workspace) {
+        if (this.isLocked()) return 0;
+        const index = await this.#loadIndex(workspace);
+        if (!index.ids.includes(id)) return 0;
+
+        const imageRefs = await this.#getImageRefs(workspace);
+        index.ids = index.ids.filter(other => other !== id);
+        await this.#appendJournal(workspace, 'remove', id);
+
+        let freed = await this.#deleteStoreFile(workspace, this._getEntryFile(workspace, id));
+
+        for (const [imageHash, ids] of imageRefs) {
+            if (!ids.delete(id) || ids.size) continue;
+
+            imageRefs.delete(imageHash);
+            freed += await this.#deleteStoreFile(workspace, this.#getImagePathForHash(imageHash, workspace));
+        }
+        return freed;
+    }
+
+    // Размер файла или null, если его нет
+    #queryFileSize(path) {
+        return new Promise(resolve => {
+            Gio.File.new_for_path(path).query_info_async('standard::size', FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                    try {
+                        resolve(source.query_info_finish(result).get_size());
+                    } catch (e) {
+                        resolve(null);
+                    }
+                });
+        });
+    }
+
+    // Имена файлов каталога
+    async #listFiles(path) {
+        const dir = Gio.File.new_for_path(path);
+        const enumerator = await new Promise((resolve, reject) => {
+            dir.enumerate_children_async('standard::name', FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, null,
+                (source, result) => {
+                    try {
+                        resolve(source.enumerate_children_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+        });
+
+        const names = [];
+        for (;;) {
+            const infos = await new Promise((resolve, reject) => {
+                enumerator.next_files_async(100, GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                    try {
+                        resolve(source.next_files_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+            if (!infos.length) break;
+            names.push(...infos.map(info => info.get_name()));
+        }
+        enumerator.close(null);
+        return names;
+    }
+
+    // Создаёт каталог вместе с недостающими родительскими
+    async #makeDirectory(path) {
         try {
-            const encoder = new TextEncoder();
-            const contents = encoder.encode(JSON.stringify(
-                entries.map(e => e.toJSON())
-            ));
-            
-            GLib.file_set_contents(path, contents);
+            await new Promise((resolve, reject) => {
+                Gio.File.new_for_path(path).make_directory_async(GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                    try {
+                        resolve(source.make_directory_finish(result));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
         } catch (e) {
-            console.error('Failed to write clipboard cache file:', e);
+            if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) return;
+            if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) throw e;
+            await this.#makeDirectory(GLib.path_get_dirname(path));
+            await this.#makeDirectory(path);
         }
     }
 
-    // Метод для очистки данных workspace
-    clearWorkspace(workspace) {
-        const dir = this._getWorkspaceDir(workspace);
-        try {
-            // Удаляем все файлы в директории
-            const dirFile = Gio.File.new_for_path(dir);
-            const enumerator = dirFile.enumerate_children('standard::*', Gio.FileQueryInfoFlags.NONE, null);
-            
+    /* Каталоги хранилища создаются асинхронно один раз, дальше _getWorkspaceDir
+    и соседние методы не трогают диск */
+    async #ensureStoreDirs(store) {
+        if (this.#storeDirs.has(store)) return;
+
+        const dir = this.#getStorePath(store);
+        for (const path of [dir, GLib.build_filenamev([dir, 'entries']), GLib.build_filenamev([dir, 'images'])]) {
+            await this.#makeDirectory(path);
+        }
+        this.#storeDirs.add(store);
+    }
+
+    // Индекс хранилища забыт, а его каталоги могли быть удалены или перенесены
+    #forgetStore(store) {
+        this.#indexes.delete(store);
+        this.#storeDirs.delete(store);
+    }
+
+    /* Удаляет самые старые незакреплённые записи, пока история workspace'а
+    не уложится в cache-size. Самая новая запись не вытесняется никогда, иначе только что
+    скопированное пропадало бы из истории сразу. Возвращает id удалённых записей. */
+    async #enforceSizeLimit(workspace) {
+        const limit = this.getCacheSizeLimit(workspace);
+        if (!limit || this.isLocked()) return [];
+
+        const index = await this.#loadIndex(workspace);
+        if (index.usage <= limit) return [];
+
+        const evicted = [];
+        for (const id of index.ids.slice(0, -1)) {
+            if (index.usage <= limit) break;
+
+            const json = await this.#readEntryJSON(workspace, id);
+            if (json?.favorite) continue;
+
+            await this.#removeEntryById(id, workspace);
+            evicted.push(id);
+        }
+
+        if (index.usage > limit) {
+            console.warn(`Clipboard cache of ${workspace} exceeds the size limit, only pinned entries are left`);
+        }
+        return evicted;
+    }
+
+    // Дожидается завершения всех операций с диском
+    flush() {
+        return this.#enqueue(() => {});
+    }
+
+    enforceSizeLimit(workspace) {
+        return this.#enqueue(() => this.#enforceSizeLimit(workspace));
+    }
+
+    /* Сжимает журнал, удаляет файлы записей и изображений, на которые ничего
+    не ссылается, и применяет лимит размера. Возвращает id вытесненных записей. */
+    compactWorkspace(workspace) {
+        return this.#enqueue(async () => {
+            if (this.isLocked()) return [];
+
+            for (const store of this.#getStores(workspace)) {
+                await this.#compactStore(store);
+            }
+            return this.#enforceSizeLimit(workspace);
+        });
+    }
+
+    async #compactStore(store) {
+        const index = await this.#loadIndex(store);
+        await this.#compact(store);
+
+        const ids = new Set(index.ids);
+        const entriesDir = this._getEntriesDir(store);
+        for (const name of await this.#listFiles(entriesDir)) {
+            const id = name.replace(/\.json$/, '');
+            if (!ids.has(id)) {
+                await this.#deleteFile(GLib.build_filenamev([entriesDir, name]));
+            }
+        }
+
+        // Ссылки на изображения пересчитываем заново по файлам записей
+        index.imageRefs = null;
+        await this.#deleteUnreferencedImages(store);
+        this.#measureUsage(index, store);
+    }
+
+    // Удаляет с диска незакреплённые записи workspace'а, возвращает их id
+    clearHistory(workspace) {
+        return this.#enqueue(async () => {
+            if (this.isLocked()) return [];
+
+            const index = await this.#loadIndex(workspace);
+            const removed = [];
+            for (const id of [...index.ids]) {
+                const json = await this.#readEntryJSON(workspace, id);
+                if (json?.favorite) continue;
+
+                await this.#removeEntryById(id, workspace);
+                removed.push(id);
+            }
+            return removed;
+        });
+    }
+
+    #deleteRecursive(file) {
+        const info = file.query_info('standard::type', FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        if (info.get_file_type() === Gio.FileType.DIRECTORY) {
+            const enumerator = file.enumerate_children('standard::name', FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
             let fileInfo;
             while ((fileInfo = enumerator.next_file(null))) {
-                const child = dirFile.get_child(fileInfo.get_name());
-                child.delete(null);
+                this.#deleteRecursive(file.get_child(fileInfo.get_name()));
             }
-            
-            // Удаляем саму директорию
-            dirFile.delete(null);
+        }
+        file.delete(null);
+    }
+
+    // Метод для очистки данных workspace: истории и закреплённых записей
+    clearWorkspace(workspace) {
+        for (const store of this.#getStores(workspace)) {
+            this.#forgetStore(store);
+            try {
+                // Удаляем директорию вместе со всем содержимым
+                this.#deleteRecursive(Gio.File.new_for_path(this._getWorkspaceDir(store)));
+            } catch (e) {
+                console.error('Failed to clear workspace:', e);
+            }
+        }
+    }
+
+    #copyRecursive(source, target) {
+        const info = source.query_info('standard::type', FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        if (info.get_file_type() !== Gio.FileType.DIRECTORY) {
+            source.copy(target, FileCopyFlags.NOFOLLOW_SYMLINKS, null, null);
+            return;
+        }
+
+        GLib.mkdir_with_parents(target.get_path(), 0o775);
+        const enumerator = source.enumerate_children('standard::name', FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        let fileInfo;
+        while ((fileInfo = enumerator.next_file(null))) {
+            const name = fileInfo.get_name();
+            this.#copyRecursive(source.get_child(name), target.get_child(name));
+        }
+    }
+
+    // Переносит файл или каталог; между файловыми системами - копированием
+    #moveRecursive(source, target) {
+        try {
+            source.move(target, FileCopyFlags.NONE, null, null);
+        } catch (e) {
+            this.#copyRecursive(source, target);
+            this.#deleteRecursive(source);
+        }
+    }
+
+    // Копирует историю и закреплённые записи workspace'а целиком, вместе с изображениями
+    duplicateWorkspace(source, target) {
+        return this.#enqueue(() => {
+            const sourceStores = this.#getStores(source);
+            this.#getStores(target).forEach((store, i) => {
+                const targetFile = Gio.File.new_for_path(this._getWorkspaceDir(store));
+                this.#deleteRecursive(targetFile);
+                this.#forgetStore(store);
+                this.#copyRecursive(Gio.File.new_for_path(this._getWorkspaceDir(sourceStores[i])), targetFile);
+            });
+            return true;
+        }).then(done => !!done);
+    }
+
+    /* Переносит записи source в target и удаляет source. Одинаковые записи
+    не дублируются, порядок общей истории - по времени последнего использования.
+    Возвращает записи target после слияния или null, если слить не удалось. */
+    async mergeWorkspace(source, target) {
+        if (this.isLocked()) return null;
+
+        const sourceEntries = await this.read(source);
+        const targetEntries = await this.read(target);
+        const { merged } = this.#mergeEntries(targetEntries, sourceEntries);
+
+        await this.write(merged, target);
+        await this.flush();
+        this.clearWorkspace(source);
+        return merged;
+    }
+
+    // Записи incoming, которых нет среди existing, и общая история по времени использования
+    #mergeEntries(existing, incoming) {
+        const added = incoming.filter(entry => !existing.some(other => other.equals(entry)));
+        const merged = [...existing, ...added].sort((a, b) => a.lastUsed - b.lastUsed);
+        return { added, merged };
+    }
+
+    /* Сохраняет историю workspace'ов в один JSON-файл: записи с метаданными,
+    закрепление и изображения (base64). Временные записи (expiresAt) - это
+    чувствительные данные, их не экспортируем. settings - переопределения
+    настроек workspace'ов, сохраняются вместе с историей. Файл пишется по одной
+    записи, чтобы не собирать весь экспорт в памяти; при ошибке прежний файл
+    остаётся как был. */
+    async exportWorkspaces(workspaces, path, settings = {}) {
+        const encoder = new TextEncoder();
+        // JSON объекта без закрывающей скобки, чтобы дописать к нему массив
+        const open = object => JSON.stringify(object).slice(0, -1);
+
+        const stream = await this.#createFileStream(path);
+        const write = text => this.#writeStream(stream, encoder.encode(text));
+        let count = 0;
+        try {
+            await write(`${open({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, created: Date.now() })},"workspaces":[`);
+
+            for (const [i, name] of workspaces.entries()) {
+                const entries = (await this.read(name)).filter(entry => entry.expiresAt === null);
+                await write(`${i ? ',' : ''}${open({ name, settings: settings[name] ?? {} })},"entries":[`);
+                for (const [j, entry] of entries.entries()) {
+                    await write((j ? ',' : '') + JSON.stringify({
+                        ...entry.toJSON(),
+                        content: GLib.base64_encode(entry.asBytes().get_data())
+                    }));
+                }
+                await write(']}');
+                count += entries.length;
+            }
+
+            await write(']}');
         } catch (e) {
-            console.error('Failed to clear workspace:', e);
+            const cancellable = new Gio.Cancellable();
+            cancellable.cancel();
+            await this.#closeStream(stream, cancellable).catch(() => {});
+            throw e;
+        }
+
+        await this.#closeStream(stream);
+        return count;
+    }
+
+    // Читает файл экспорта: [{ name, settings, entries }]; исключение, если формат не тот
+    async readBundle(path) {
+        const contents = await this.#loadFile(path);
+        if (!contents) throw new Error(`${path} does not exist`);
+
+        const bundle = JSON.parse(new TextDecoder().decode(contents));
+        if (bundle?.format !== BUNDLE_FORMAT || !Array.isArray(bundle.workspaces))
+            throw new Error('Not a clipboard history export');
+        if (bundle.version > BUNDLE_VERSION)
+            throw new Error(`Unsupported export version ${bundle.version}`);
+
+        const now = Date.now();
+        return bundle.workspaces
+            .filter(workspace => isValidWorkspaceName(workspace?.name))
+            .map(workspace => ({
+                name: workspace.name,
+                settings: workspace.settings ?? {},
+                // id из файла не используется: каждая запись получает новый
+                entries: (workspace.entries ?? []).map(json =>
+                    this.#entryFromJSON({ ...json, id: undefined }, GLib.base64_decode(json.content ?? ''), now))
+            }));
+    }
+
+    /* Добавляет импортированные записи в workspace (replace - вместо его истории).
+    Записи, равные уже существующим, пропускаются; id у них новые (см. readBundle).
+    Возвращает { added, merged } или null, если записать нельзя. */
+    async importEntries(workspace, entries, replace) {
+        if (this.isLocked()) return null;
+
+        const existing = replace ? [] : await this.read(workspace);
+        const unique = [];
+        for (const entry of entries) {
+            if (!unique.some(other => other.equals(entry))) unique.push(entry);
         }
+
+        const { added, merged } = this.#mergeEntries(existing, unique);
+        await this.write(merged, workspace);
+        return { added: added.length, merged };
+    }
+
+    #getImagePathForHash(imageHash, workspace) {
+        return GLib.build_filenamev([this._getImagesCacheDir(workspace), imageHash]);
     }
 
     // Обновляем методы для работы с изображениями
@@ -116,65 +1242,17 @@ export class Registry {
             console.error('Invalid entry or imageHash');
             return null;
         }
-        return GLib.build_filenamev([this._getImagesCacheDir(workspace), entry.imageHash]);
-    }
-
-    async writeEntryFile(entry, workspace) {
-        if (!entry || !entry.isImage()) return;
-        if (!workspace) {
-            console.error('Workspace name is undefined');
-            workspace = 'default';
-        }
-        
-        const path = this.getImagePath(entry, workspace);
-        if (!path) return;
-        
-        try {
-            // Проверяем количество существующих изображений в workspace
-            const imageFiles = this.#getWorkspaceImageFiles(workspace);
-            
-            // Если достигнут лимит, удаляем самое старое изображение
-            if (imageFiles.length >= this.MAX_IMAGES_PER_WORKSPACE) {
-                // Сортируем файлы по времени модификации
-                imageFiles.sort((a, b) => {
-                    const statA = a.query_info('time::modified', Gio.FileQueryInfoFlags.NONE, null);
-                    const statB = b.query_info('time::modified', Gio.FileQueryInfoFlags.NONE, null);
-                    return statA.get_modification_date_time().compare(statB.get_modification_date_time());
-                });
-                
-                // Удаляем самый старый файл
-                imageFiles[0].delete(null);
-            }
-            
-            // Записываем новое изображение
-            const bytes = entry.asBytes().get_data();
-            if (!bytes) {
-                console.error('No image data to write');
-                return;
-            }
-            GLib.file_set_contents(path, bytes);
-            return true;
-        } catch (e) {
-            console.error('Failed to write image file:', e);
-            return false;
-        }
+        return this.#getImagePathForHash(entry.imageHash, this.#getStoreOf(entry, workspace));
     }
 
     // Добавляем новый приватный метод для получения списка файлов изображений в workspace
-    #getWorkspaceImageFiles(workspace) {
-        const dir = Gio.File.new_for_path(this._getWorkspaceDir(workspace));
+    async #getWorkspaceImageFiles(workspace) {
+        const dir = Gio.File.new_for_path(this._getImagesCacheDir(workspace));
         const imageFiles = [];
         
         try {
-            const enumerator = dir.enumerate_children('standard::*', Gio.FileQueryInfoFlags.NONE, null);
-            let fileInfo;
-            while ((fileInfo = enumerator.next_file(null))) {
-                const fileName = fileInfo.get_name();
-                // Проверяем, что файл является изображением (имеет hash в имени)
-                if (fileName.match(/[a-z0-9]+$/)) {
-                    const file = dir.get_child(fileName);
-                    imageFiles.push(file);
-                }
+            for (const name of await this.#listFiles(dir.get_path())) {
+                imageFiles.push(dir.get_child(name));
             }
         } catch (e) {
             console.error('Failed to get workspace image files:', e);
@@ -183,29 +1261,25 @@ export class Registry {
         return imageFiles;
     }
 
-    deleteEntryFile(entry, workspace) {
-        if (!entry.isImage()) return;
-        
-        const path = this.getImagePath(entry, workspace);
-        try {
-            GLib.unlink(path);
-        } catch (e) {
-            console.error('Failed to delete image file:', e);
-        }
-    }
-
     // Добавим методы для работы с конфигурацией workspace'ов
     _getWorkspacesConfigFile() {
-        return GLib.build_filenamev([this.cacheDir, 'workspaces.json']);
+        return getWorkspacesConfigFile();
     }
 
-    saveWorkspacesConfig(workspaces, activeWorkspace) {
+    /* defaultWorkspace - workspace, активный при запуске; без него - последний активный.
+    settings - переопределения настроек: { workspace: { ключ GSettings: значение } } */
+    saveWorkspacesConfig(workspaces, activeWorkspace, { defaultWorkspace = null, settings = {} } = {}) {
         const path = this._getWorkspacesConfigFile();
+        this.#workspaceSettings = filterWorkspaceSettings(settings, workspaces);
         try {
             const config = {
                 workspaces: workspaces,
-                activeWorkspace: activeWorkspace
+                activeWorkspace: activeWorkspace,
+                settings: this.#workspaceSettings
             };
+            if (defaultWorkspace) {
+                config.defaultWorkspace = defaultWorkspace;
+            }
             const encoder = new TextEncoder();
             const contents = encoder.encode(JSON.stringify(config));
             GLib.file_set_contents(path, contents);
@@ -218,7 +1292,9 @@ export class Registry {
         const path = this._getWorkspacesConfigFile();
         const defaultConfig = {
             workspaces: ['Workspace1', 'Workspace2', 'Workspace3'],
-            activeWorkspace: 'Workspace1'
+            activeWorkspace: 'Workspace1',
+            defaultWorkspace: null,
+            settings: {}
         };
 
         if (!GLib.file_test(path, FileTest.EXISTS)) {
@@ -236,7 +1312,10 @@ export class Registry {
             const decoder = new TextDecoder();
             const config = JSON.parse(decoder.decode(contents));
             
-            // Проверяем валидность загруженной конфигурации
+            // Проверяем валидность загруженной конфигурации; имена, ведущие за пределы кэша, отбрасываем
+            if (Array.isArray(config?.workspaces)) {
+                config.workspaces = config.workspaces.filter(isValidWorkspaceName);
+            }
             if (!config || !Array.isArray(config.workspaces) || !config.workspaces.length || !config.activeWorkspace) {
                 console.error('Invalid workspace config, using default');
                 return defaultConfig;
@@ -254,6 +1333,11 @@ export class Registry {
             if (!config.workspaces.includes(config.activeWorkspace)) {
                 config.activeWorkspace = config.workspaces[0];
             }
+            if (!config.workspaces.includes(config.defaultWorkspace)) {
+                config.defaultWorkspace = null;
+            }
+            config.settings = filterWorkspaceSettings(config.settings, config.workspaces);
+            this.#workspaceSettings = config.settings;
 
             return config;
         } catch (e) {
@@ -268,11 +1352,13 @@ export class Registry {
         const path = this.getImagePath(entry, workspace);
         if (!path) return null;
 
-        // Проверяем существование файла
-        if (!GLib.file_test(path, FileTest.EXISTS)) {
-            // Пробуем записать файл
-            const written = await this.writeEntryFile(entry, workspace);
-            if (!written) return null;
+        /* Без ключа файл не расшифровать, а незакэшированных изображений на диске
+        нет вовсе (лимиты, cache-only-favorites): показываем изображение из памяти */
+        if (this.isLocked() || !GLib.file_test(path, FileTest.EXISTS)) {
+            return new St.Icon({
+                gicon: Gio.BytesIcon.new(entry.asBytes()),
+                icon_size: 24
+            });
         }
 
         try {
@@ -293,7 +1379,13 @@ export class Registry {
                 return null;
             }
 
-            const gicon = Gio.BytesIcon.new(GLib.Bytes.new(contents));
+            const bytes = CacheCipher.isEncrypted(contents) ? await this.#cipher?.decrypt(contents) : contents;
+            if (!bytes) {
+                console.error('Cannot decrypt image without the keyring key:', path);
+                return null;
+            }
+
+            const gicon = Gio.BytesIcon.new(GLib.Bytes.new(bytes));
             const image = new St.Icon({
                 gicon: gicon,
                 icon_size: 24
@@ -307,53 +1399,52 @@ export class Registry {
     }
 
     async renameWorkspace(oldName, newName) {
-        // Получаем путь к старой и новой директориям
-        const oldPath = GLib.build_filenamev([this.cacheDir, oldName]);
-        const newPath = GLib.build_filenamev([this.cacheDir, newName]);
+        // Директории истории и закреплённых записей: старые и новые
+        const oldStores = this.#getStores(oldName);
+        const newStores = this.#getStores(newName);
         
         try {
-            const oldFile = Gio.File.new_for_path(oldPath);
-            const newFile = Gio.File.new_for_path(newPath);
+            let moved = false;
+            // Дожидаемся незавершённых операций с диском
+            await this.#enqueue(() => {
+                oldStores.forEach((oldStore, i) => {
+                    const oldFile = Gio.File.new_for_path(this._getWorkspaceDir(oldStore));
+                    const newFile = Gio.File.new_for_path(this._getWorkspaceDir(newStores[i]));
+
+                    // Пустая директория с новым именем могла остаться от удалённого workspace'а
+                    this.#deleteRecursive(newFile);
+
+                    // Переносим директорию целиком
+                    oldFile.move(newFile, FileCopyFlags.NONE, null, null);
+
+                    this.#forgetStore(newStores[i]);
+                    if (this.#indexes.has(oldStore)) {
+                        this.#indexes.set(newStores[i], this.#indexes.get(oldStore));
+                        if (this.#storeDirs.has(oldStore)) this.#storeDirs.add(newStores[i]);
+                        this.#forgetStore(oldStore);
+                    }
+                });
+                moved = true;
+            });
+            if (!moved) return false;
             
-            // Проверяем существование старой директории
-            if (oldFile.query_exists(null)) {
-                // Создаем новую директорию если её нет
-                if (!newFile.query_exists(null)) {
-                    newFile.make_directory_with_parents(null);
-                }
-                
-                // Добавляем задержку перед копированием
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                // Копируем все файлы из старой директории в новую
-                const enumerator = oldFile.enumerate_children('standard::*', Gio.FileQueryInfoFlags.NONE, null);
-                let fileInfo;
-                while ((fileInfo = enumerator.next_file(null))) {
-                    const fileName = fileInfo.get_name();
-                    const sourceFile = oldFile.get_child(fileName);
-                    const targetFile = newFile.get_child(fileName);
-                    
-                    // Копируем файл
-                    sourceFile.copy(targetFile, Gio.FileCopyFlags.OVERWRITE, null, null);
-                }
-                
-                // Добавляем задержку перед удалением старой директории
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                // Удаляем старую директорию после успешного копирования
-                this.clearWorkspace(oldName);
-                
-                // Обновляем конфигурацию
-                const config = await this.loadWorkspacesConfig();
-                if (config) {
-                    const index = config.workspaces.indexOf(oldName);
-                    if (index !== -1) {
-                        config.workspaces[index] = newName;
-                        if (config.activeWorkspace === oldName) {
-                            config.activeWorkspace = newName;
-                        }
-                        this.saveWorkspacesConfig(config.workspaces, config.activeWorkspace);
+            // Обновляем конфигурацию
+            const config = await this.loadWorkspacesConfig();
+            if (config) {
+                const index = config.workspaces.indexOf(oldName);
+                if (index !== -1) {
+                    config.workspaces[index] = newName;
+                    if (config.activeWorkspace === oldName) {
+                        config.activeWorkspace = newName;
+                    }
+                    if (config.defaultWorkspace === oldName) {
+                        config.defaultWorkspace = newName;
                     }
+                    if (config.settings[oldName]) {
+                        config.settings[newName] = config.settings[oldName];
+                        delete config.settings[oldName];
+                    }
+                    this.saveWorkspacesConfig(config.workspaces, config.activeWorkspace, config);
                 }
             }
         } catch (e) {
@@ -365,12 +1456,24 @@ export class Registry {
 }
 
 export class ClipboardEntry {
+    #id;
     #mimetype;
     #bytes;
     #favorite;
+    #primary;
     #imageHash;
+    #firstCopied;
+    #lastCopied;
+    #lastUsed;
+    #sourceApp;
+    #useCount;
+    #masked;
+    #expiresAt;
+    #formats;
+    #original;
+    #filesIcon = null;
 
-    constructor (mimetype, bytes, favorite) {
+    constructor (mimetype, bytes, favorite, primary, metadata = {}) {
         this.#mimetype = mimetype || 'text/plain';
         
         // Преобразуем строку в Uint8Array если нужно
@@ -384,7 +1487,29 @@ export class ClipboardEntry {
             this.#bytes = new Uint8Array();
         }
         
+        // Вырезанные файлы уже перемещены, повторная вставка из истории должна их копировать
+        if (this.#mimetype === GNOME_COPIED_FILES) {
+            const text = new TextDecoder().decode(this.#bytes);
+            if (text.startsWith('cut\n')) {
+                this.#bytes = new TextEncoder().encode(text.replace(/^cut\n/, 'copy\n'));
+            }
+        }
+
         this.#favorite = !!favorite;
+        this.#primary = !!primary;
+
+        this.#id = metadata.id ?? GLib.uuid_string_random();
+
+        const now = Date.now();
+        this.#firstCopied = metadata.firstCopied ?? now;
+        this.#lastUsed = metadata.lastUsed ?? this.#firstCopied;
+        this.#lastCopied = metadata.lastCopied ?? this.#firstCopied;
+        this.#sourceApp = metadata.sourceApp ?? null;
+        this.#useCount = metadata.useCount ?? 0;
+        this.#masked = !!metadata.masked;
+        this.#expiresAt = metadata.expiresAt ?? null;
+        this.#formats = new Map(Object.entries(metadata.formats ?? {}));
+        this.#original = metadata.original ?? null;
         
         // Генерируем hash для изображений
         if (this.isImage()) {
@@ -392,45 +1517,66 @@ export class ClipboardEntry {
         }
     }
 
+    // SHA-256 всего содержимого: по нему изображения хранятся и сравниваются
     #generateHash() {
-        // Проверяем, что bytes существует и является Uint8Array
-        if (!this.#bytes || !(this.#bytes instanceof Uint8Array)) {
-            return 'default-hash';
-        }
-        
-        try {
-            // Используем только первые 1000 байт для ускорения
-            const bytesToHash = this.#bytes.slice(0, 1000);
-            return Array.from(bytesToHash)
-                .reduce((hash, byte) => ((hash << 5) - hash) + byte, 5381)
-                .toString(36);
-        } catch (e) {
-            console.error('Failed to generate hash:', e);
-            return 'error-hash-' + Date.now();
-        }
+        const checksum = new GLib.Checksum(GLib.ChecksumType.SHA256);
+        checksum.update(this.#bytes);
+        return checksum.get_string();
     }
 
     get imageHash() {
         return this.#imageHash;
     }
 
+    // Постоянный идентификатор записи в хранилище
+    get id() {
+        return this.#id;
+    }
+
     // Добавим метод для сериализации
     toJSON() {
         return {
+            id: this.#id,
             mimeType: this.#mimetype,
-            content: this.isText() ? this.getStringValue() : Array.from(this.#bytes),
+            // Изображение лежит в отдельном файле, его байты в метаданные не копируются
+            content: this.isImage() ? null : this.getStringValue(),
             favorite: this.#favorite,
-            imageHash: this.#imageHash
+            primary: this.#primary,
+            imageHash: this.#imageHash,
+            firstCopied: this.#firstCopied,
+            lastUsed: this.#lastUsed,
+            lastCopied: this.#lastCopied,
+            sourceApp: this.#sourceApp,
+            useCount: this.#useCount,
+            masked: this.#masked,
+            expiresAt: this.#expiresAt,
+            original: this.#original,
+            formats: Object.fromEntries([...this.#formats]
+                .map(([mimetype, bytes]) => [mimetype, GLib.base64_encode(bytes)]))
         };
     }
 
     // Добавим статический метод для проверки текстового типа
     static isText(mimetype) {
+        if (ClipboardEntry.isFiles(mimetype)) return false;
         return mimetype.startsWith('text/') ||
             mimetype === 'STRING' ||
             mimetype === 'UTF8_STRING';
     }
 
+    static isFiles(mimetype) {
+        return FILE_MIMETYPES.includes(mimetype);
+    }
+
+    // URI из списка файлов; в gnome-copied-files первая строка - действие (copy или cut)
+    static parseFileUris(mimetype, bytes) {
+        const lines = new TextDecoder().decode(bytes).split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+        if (mimetype === GNOME_COPIED_FILES) lines.shift();
+        return lines;
+    }
+
     // Добавим метод для получения содержимого
     getContent() {
         if (this.isText()) {
@@ -459,8 +1605,118 @@ export class ClipboardEntry {
         return this.#favorite;
     }
 
+    // Закрепление отменяет срок жизни, выданный правилами для чувствительных данных
     set favorite(val) {
         this.#favorite = !!val;
+        if (this.#favorite) this.#expiresAt = null;
+    }
+
+    // Запись пришла из PRIMARY-выделения, а не из CLIPBOARD
+    isPrimary() {
+        return this.#primary;
+    }
+
+    set primary(val) {
+        this.#primary = !!val;
+    }
+
+    // Время первого копирования (мс с начала эпохи)
+    get firstCopied() {
+        return this.#firstCopied;
+    }
+
+    get lastUsed() {
+        return this.#lastUsed;
+    }
+
+    // Приложение, в фокусе при копировании: { id, wmClass, name } или null
+    get sourceApp() {
+        return this.#sourceApp;
+    }
+
+    get useCount() {
+        return this.#useCount;
+    }
+
+    // Чувствительное содержимое: в меню показывается замаскированным
+    isMasked() {
+        return this.#masked;
+    }
+
+    set masked(val) {
+        this.#masked = !!val;
+    }
+
+    // Время (мс), после которого запись удаляется, или null
+    get expiresAt() {
+        return this.#expiresAt;
+    }
+
+    set expiresAt(val) {
+        this.#expiresAt = val;
+    }
+
+    /* Закреплённые записи не истекают никогда (в том числе сохранённые с expiresAt
+    до того, как закрепление стало его сбрасывать). maxAge - ограничение возраста (мс)
+    для незакреплённых записей, 0 - без ограничения. Возраст считается от последнего
+    копирования: вставка из истории его не продлевает */
+    isExpired(now = Date.now(), maxAge = 0) {
+        if (this.#favorite) return false;
+        if (this.#expiresAt !== null && this.#expiresAt <= now) return true;
+        return maxAge > 0 && this.#lastCopied + maxAge <= now;
+    }
+
+    // Запись скопирована повторно
+    touch() {
+        this.#lastUsed = this.#lastCopied = Date.now();
+    }
+
+    markUsed() {
+        this.#useCount++;
+        this.#lastUsed = Date.now();
+    }
+
+    // Текст в том виде, в каком он был скопирован, если при записи его нормализовали; иначе null
+    get original() {
+        return this.#original;
+    }
+
+    // Независимая копия записи с новым id, для другого workspace'а в памяти
+    copy() {
+        return new ClipboardEntry(this.#mimetype, this.#bytes, this.#favorite, this.#primary, {
+            firstCopied: this.#firstCopied,
+            lastUsed: this.#lastUsed,
+            lastCopied: this.#lastCopied,
+            sourceApp: this.#sourceApp,
+            useCount: this.#useCount,
+            masked: this.#masked,
+            expiresAt: this.#expiresAt,
+            formats: Object.fromEntries(this.#formats),
+            original: this.#original
+        });
+    }
+
+    // Копия записи с нормализованным текстом, исходный остаётся в original
+    withNormalizedText(text) {
+        return new ClipboardEntry(this.#mimetype, text, this.#favorite, this.#primary, {
+            sourceApp: this.#sourceApp,
+            formats: Object.fromEntries(this.#formats),
+            original: this.getStringValue()
+        });
+    }
+
+    // Дополнительные форматы того же копирования (HTML, RTF, uri-list)
+    hasExtraFormats() {
+        return this.#formats.size > 0;
+    }
+
+    // Все форматы записи, основной первым: mimetype -> GLib.Bytes
+    getFormats() {
+        const formats = new Map([[this.#mimetype, this.asBytes()]]);
+        for (const [mimetype, bytes] of this.#formats) {
+            formats.set(mimetype, GLib.Bytes.new(bytes));
+        }
+        return formats;
     }
 
     isText() {
@@ -471,11 +1727,53 @@ export class ClipboardEntry {
         return this.#mimetype.startsWith('image/');
     }
 
+    isFiles() {
+        return ClipboardEntry.isFiles(this.#mimetype);
+    }
+
+    getFileUris() {
+        return this.isFiles() ? ClipboardEntry.parseFileUris(this.#mimetype, this.#bytes) : [];
+    }
+
+    getFiles() {
+        return this.getFileUris().map(uri => Gio.File.new_for_uri(uri));
+    }
+
+    /* Сколько файлов пропало и иконка первого (его миниатюра, если есть):
+    { missing, gicon }. Наличие файлов проверяется асинхронно при каждом вызове,
+    иконка запрашивается один раз и хранится в записи */
+    async queryFiles() {
+        const attributes = this.#filesIcon ? 'standard::type' : 'standard::icon,thumbnail::path';
+        const infos = await Promise.all(this.getFiles().map(file => new Promise(resolve => {
+            file.query_info_async(attributes, FileQueryInfoFlags.NONE,
+                GLib.PRIORITY_DEFAULT, null, (source, result) => {
+                    try {
+                        resolve(source.query_info_finish(result));
+                    } catch (e) {
+                        resolve(null);
+                    }
+                });
+        })));
+
+        const [first] = infos;
+        if (!this.#filesIcon && first) {
+            const thumbnail = first.get_attribute_byte_string('thumbnail::path');
+            this.#filesIcon = thumbnail ? Gio.FileIcon.new(Gio.File.new_for_path(thumbnail)) : first.get_icon();
+        }
+        return { missing: infos.filter(info => !info).length, gicon: this.#filesIcon };
+    }
+
     asBytes() {
         return GLib.Bytes.new(this.#bytes);
     }
 
     equals(otherEntry) {
+        if (this.isImage() || otherEntry.isImage()) {
+            return this.#imageHash === otherEntry.imageHash;
+        }
+        if (this.isFiles() && otherEntry.isFiles()) {
+            return this.getFileUris().join('\n') === otherEntry.getFileUris().join('\n');
+        }
         return this.getStringValue() === otherEntry.getStringValue();
     }
 }
@@ -0,0 +1,163 @@
+// Search syntax of the history menu: fuzzy AND terms, one /regex/ and filters
+
+const FILTER_REGEX = /^(is|app|ws):(.+)$/i;
+const QUERY_REGEX = /(?:^|\s)\/((?:\\.|[^/\\])+)\/([imsu]*)(?=\s|$)/;
+
+const KIND_ALIASES = {
+    images: 'image',
+    files: 'file',
+    texts: 'text',
+    pin: 'pinned',
+    favorite: 'pinned',
+    favorites: 'pinned'
+};
+
+/**
+ * Splits the search text into lowercase terms, a regex and filters.
+ * error is set when the regex does not compile, the regex is then ignored.
+ */
+export function parseQuery (text) {
+    const query = { terms: [], regex: null, filters: [], error: null };
+
+    const regexMatch = text.match(QUERY_REGEX);
+    if (regexMatch) {
+        text = text.replace(regexMatch[0], ' ');
+        try {
+            query.regex = new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (e) {
+            query.error = e.message;
+        }
+    }
+
+    for (const token of text.split(/\s+/).filter(token => token)) {
+        const filter = token.match(FILTER_REGEX);
+        if (filter) {
+            const type = filter[1].toLowerCase();
+            let value = filter[2].toLowerCase();
+            if (type === 'is') value = KIND_ALIASES[value] ?? value;
+            query.filters.push({ type, value });
+        } else {
+            query.terms.push(token.toLowerCase());
+        }
+    }
+
+    return query;
+}
+
+export function isEmptyQuery (query) {
+    return !query.terms.length && !query.regex && !query.filters.length;
+}
+
+function isWordStart (text, index) {
+    return index === 0 || /[\s\W_]/.test(text[index - 1]);
+}
+
+/**
+ * Matches term against text, either as a substring or as a subsequence
+ * ("grp" in "group"). Returns the score and the matched character indices,
+ * or null. Substrings, consecutive characters and word starts score higher.
+ */
+export function fuzzyMatch (term, text) {
+    const haystack = text.toLowerCase();
+    if (!term) return { score: 0, positions: [] };
+
+    const index = haystack.indexOf(term);
+    if (index >= 0) {
+        const positions = Array.from({ length: term.length }, (_, i) => index + i);
+        return {
+            score: 100 + term.length * 10 + (isWordStart(haystack, index) ? 50 : 0),
+            positions
+        };
+    }
+
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of term) {
+        const position = haystack.indexOf(char, from);
+        if (position < 0) return null;
+
+        score += position === from && positions.length ? 5 : 1;
+        if (isWordStart(haystack, position)) score += 3;
+        positions.push(position);
+        from = position + char.length;
+    }
+
+    // A tight match ranks above one spread across the whole text
+    const spread = positions[positions.length - 1] - positions[0] - term.length + 1;
+    return { score: score - Math.min(spread, 50) * 0.1, positions };
+}
+
+function matchesFilter ({ type, value }, item) {
+    switch (type) {
+        case 'is':
+            return item.kinds.includes(value);
+        case 'app':
+            return item.app.toLowerCase().includes(value);
+        case 'ws':
+            return item.workspace.toLowerCase().includes(value);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Matches a parsed query against an item { text, kinds, app, workspace }.
+ * Returns { score } when every filter, the regex and every term match, else null.
+ */
+export function matchEntry (query, item) {
+    if (!query.filters.every(filter => matchesFilter(filter, item))) return null;
+    if (query.regex && !query.regex.test(item.text)) return null;
+
+    let score = 0;
+    for (const term of query.terms) {
+        const match = fuzzyMatch(term, item.text);
+        if (!match) return null;
+        score += match.score;
+    }
+    return { score };
+}
+
+// Indices of the characters of text matched by the terms or the regex
+export function highlightPositions (query, text) {
+    const positions = new Set();
+
+    for (const term of query.terms) {
+        fuzzyMatch(term, text)?.positions.forEach(position => positions.add(position));
+    }
+
+    if (query.regex) {
+        const regex = new RegExp(query.regex.source, query.regex.flags.replace('g', '') + 'g');
+        for (const match of text.matchAll(regex)) {
+            if (!match[0].length) continue;
+            for (let i = 0; i < match[0].length; i++) positions.add(match.index + i);
+        }
+    }
+
+    return positions;
+}
+
+function escapeMarkup (text) {
+    return text.replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Pango markup of text with the given character indices in bold
+export function highlightMarkup (text, positions) {
+    let markup = '';
+    let bold = false;
+    let index = 0;
+    for (const char of text) {
+        const highlighted = positions.has(index);
+        if (highlighted !== bold) {
+            markup += highlighted ? '<b>' : '</b>';
+            bold = highlighted;
+        }
+        markup += escapeMarkup(char);
+        index += char.length;
+    }
+    return bold ? markup + '</b>' : markup;
+}
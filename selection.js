@@ -0,0 +1,49 @@
+import GObject from 'gi://GObject';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Meta from 'gi://Meta';
+
+/* St.Clipboard can only offer a single mimetype, so entries with several
+formats own the selection through this source, which answers every target
+it was given from memory. */
+const BundleSelectionSource = GObject.registerClass(
+class BundleSelectionSource extends Meta.SelectionSource {
+    _init (formats) {
+        super._init();
+        this._formats = formats;
+        this._pendingReads = new Map();
+    }
+
+    vfunc_get_mimetypes () {
+        return [...this._formats.keys()];
+    }
+
+    vfunc_read_async (mimetype, cancellable, callback) {
+        const task = Gio.Task.new(this, cancellable, callback);
+        const bytes = this._formats.get(mimetype);
+        if (!bytes) {
+            task.return_error(new GLib.Error(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND,
+                `Mimetype ${mimetype} is not offered`));
+            return;
+        }
+
+        this._pendingReads.set(task, bytes);
+        task.return_boolean(true);
+    }
+
+    vfunc_read_finish (result) {
+        const bytes = this._pendingReads.get(result);
+        this._pendingReads.delete(result);
+        result.propagate_boolean();
+        return Gio.MemoryInputStream.new_from_bytes(bytes);
+    }
+});
+
+/**
+ * Makes formats, a Map of mimetype to GLib.Bytes, the content of the
+ * selection of the given Meta.SelectionType.
+ */
+export function setSelectionFormats (selectionType, formats) {
+    const selection = global.display.get_selection();
+    selection.set_owner(selectionType, new BundleSelectionSource(formats));
+}
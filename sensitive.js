@@ -0,0 +1,103 @@
+export const SensitiveActions = {
+    NONE   : 'none',
+    DROP   : 'drop',
+    MASK   : 'mask',
+    EXPIRE : 'expire'
+};
+
+const CARD_NUMBER_REGEX = /\b(?:\d[ -]?){12,18}\d\b/g;
+
+function passesLuhn (digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function containsCardNumber (text) {
+    for (const match of text.matchAll(CARD_NUMBER_REGEX)) {
+        const digits = match[0].replace(/[ -]/g, '');
+        if (digits.length >= 13 && digits.length <= 19 && passesLuhn(digits))
+            return true;
+    }
+    return false;
+}
+
+/* Built-in detectors, checked in order. Their ids are the keys of the
+sensitive-rules setting, which maps each of them to a SensitiveActions value. */
+export const SensitiveRules = [
+    {
+        id: 'private-key',
+        test: text => /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----/.test(text)
+    },
+    {
+        id: 'jwt',
+        test: text => /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/.test(text)
+    },
+    {
+        id: 'aws-key',
+        test: text => /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/.test(text) ||
+            /aws.{0,20}secret.{0,20}[A-Za-z0-9/+=]{40}/i.test(text)
+    },
+    {
+        id: 'github-token',
+        test: text => /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/.test(text)
+    },
+    {
+        id: 'slack-token',
+        test: text => /\bxox[abposr]-[A-Za-z0-9-]{10,}/.test(text) ||
+            /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/.test(text)
+    },
+    {
+        id: 'credit-card',
+        test: containsCardNumber
+    }
+];
+
+export const CUSTOM_RULE_ID = 'custom';
+
+/**
+ * Returns the ids of all the rules matching the text.
+ * User-supplied patterns are reported as CUSTOM_RULE_ID; invalid ones are skipped.
+ */
+export function findSensitiveRules (text, customPatterns = []) {
+    const ids = SensitiveRules.filter(rule => rule.test(text)).map(rule => rule.id);
+
+    for (const pattern of customPatterns) {
+        try {
+            if (new RegExp(pattern).test(text)) {
+                ids.push(CUSTOM_RULE_ID);
+                break;
+            }
+        } catch (e) {
+            console.error(`Invalid sensitive content pattern "${pattern}":`, e);
+        }
+    }
+
+    return ids;
+}
+
+// Actions from the strictest to the least strict
+const ACTION_PRECEDENCE = [
+    SensitiveActions.DROP,
+    SensitiveActions.MASK,
+    SensitiveActions.EXPIRE,
+    SensitiveActions.NONE
+];
+
+// The strictest of actions, NONE when there are none
+export function getStrictestAction (actions) {
+    return ACTION_PRECEDENCE.find(action => actions.includes(action)) ?? SensitiveActions.NONE;
+}
+
+export function maskText (text) {
+    const chars = [...text.trim()];
+    const visible = chars.length > 8 ? chars.slice(-4).join('') : '';
+    return '••••••••' + visible;
+}
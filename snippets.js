@@ -0,0 +1,61 @@
+import GLib from 'gi://GLib';
+
+// Placeholders of pinned snippets, expanded when the snippet is pasted
+
+const PLACEHOLDER_REGEX = /\{\{(date|clipboard|cursor|uuid|input)(?::([^{}]*))?\}\}/g;
+const DEFAULT_DATE_FORMAT = '%Y-%m-%d';
+
+export function hasPlaceholders (text) {
+    return [...text.matchAll(PLACEHOLDER_REGEX)].length > 0;
+}
+
+// Labels of the {{input:Label}} placeholders in order of appearance, each one once
+export function getInputLabels (text) {
+    const labels = [];
+    for (const [, type, label = ''] of text.matchAll(PLACEHOLDER_REGEX)) {
+        if (type === 'input' && !labels.includes(label.trim())) labels.push(label.trim());
+    }
+    return labels;
+}
+
+/**
+ * Replaces the placeholders of text. clipboard is the current clipboard text,
+ * inputs maps the labels of input placeholders to the typed values.
+ * Returns { text, cursorOffset }, cursorOffset being the number of characters
+ * (grapheme clusters, as the caret moves) after the first {{cursor}}, so the
+ * caret can be moved back there.
+ */
+export function expandSnippet (text, { clipboard = '', inputs = {} } = {}) {
+    let expanded = '';
+    let cursor = null;
+    let last = 0;
+
+    for (const match of text.matchAll(PLACEHOLDER_REGEX)) {
+        const [placeholder, type, argument = ''] = match;
+        expanded += text.slice(last, match.index);
+        last = match.index + placeholder.length;
+
+        switch (type) {
+            case 'date':
+                // An invalid format leaves the placeholder as typed
+                expanded += GLib.DateTime.new_now_local().format(argument || DEFAULT_DATE_FORMAT) ?? placeholder;
+                break;
+            case 'clipboard':
+                expanded += clipboard;
+                break;
+            case 'cursor':
+                cursor ??= expanded.length;
+                break;
+            case 'uuid':
+                expanded += GLib.uuid_string_random();
+                break;
+            case 'input':
+                expanded += inputs[argument.trim()] ?? '';
+                break;
+        }
+    }
+    expanded += text.slice(last);
+
+    const cursorOffset = cursor === null ? 0 : [...new Intl.Segmenter().segment(expanded.slice(cursor))].length;
+    return { text: expanded, cursorOffset };
+}
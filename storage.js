@@ -0,0 +1,183 @@
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+import { WorkspaceSettingsFields } from './constants.js';
+
+// Shared by the extension and the preferences window, so it must not import Shell libraries
+
+// Files kept next to the workspace directories in the data directory
+export const DATA_FILES = ['workspaces.json', 'workspace-rules.json', 'encryption.json'];
+
+let storagePath = '';
+
+// Transient history, which cleaners may wipe
+export function getCacheDir () {
+    return GLib.build_filenamev([GLib.get_user_cache_dir(), 'clipboard-indicator']);
+}
+
+/**
+ * Sets the directory of the storage-path setting. An empty or relative path
+ * selects the default data directory.
+ */
+export function setStoragePath (path) {
+    storagePath = path && GLib.path_is_absolute(path) ? path : '';
+}
+
+// Data directory the storage-path setting value path stands for
+export function resolveDataDir (path) {
+    return path && GLib.path_is_absolute(path)
+        ? path : GLib.build_filenamev([GLib.get_user_data_dir(), 'clipboard-indicator']);
+}
+
+// Pinned entries and the workspace configuration, which must survive cache cleaning
+export function getDataDir () {
+    return resolveDataDir(storagePath);
+}
+
+// Directories holding the history and the pinned entries of a workspace
+export function getWorkspaceDirs (workspace) {
+    return [
+        GLib.build_filenamev([getCacheDir(), workspace]),
+        GLib.build_filenamev([getDataDir(), workspace])
+    ];
+}
+
+// Where exports of the history go by default, outside of the cache that cleaners wipe
+export function getExportDir () {
+    const documents = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DOCUMENTS) ?? GLib.get_home_dir();
+    return GLib.build_filenamev([documents, 'Clipboard Indicator']);
+}
+
+// Path of a new export in the export directory, named after its content and the time
+export function getNewExportPath (label) {
+    const time = GLib.DateTime.new_now_local().format('%Y-%m-%d-%H%M%S');
+    const name = `clipboard-${label.replace(/[/\s]+/g, '-')}-${time}.json`;
+    return GLib.build_filenamev([getExportDir(), name]);
+}
+
+// Exports found in the export directory, newest first
+export function listExports () {
+    const dir = Gio.File.new_for_path(getExportDir());
+    const exports = [];
+    try {
+        const enumerator = dir.enumerate_children('standard::name,time::modified', Gio.FileQueryInfoFlags.NONE, null);
+        let info;
+        while ((info = enumerator.next_file(null))) {
+            if (!info.get_name().endsWith('.json')) continue;
+            exports.push({
+                path: dir.get_child(info.get_name()).get_path(),
+                name: info.get_name(),
+                modified: info.get_modification_date_time()?.to_unix() ?? 0
+            });
+        }
+    } catch (e) {
+        if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            console.error('Failed to list exports:', e);
+    }
+    return exports.sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * Whether name can be used as a workspace, i.e. as a directory name below the
+ * cache and data directories. Names from export files and the preferences are
+ * untrusted: ".", ".." or a path would resolve outside of the workspace
+ * directory, and the data file names would clash with the configuration.
+ */
+export function isValidWorkspaceName (name) {
+    return typeof name === 'string' && !!name.trim() &&
+        name !== '.' && name !== '..' &&
+        !/[/\p{Cc}]/u.test(name) &&
+        !DATA_FILES.includes(name);
+}
+
+export function getWorkspacesConfigFile () {
+    return GLib.build_filenamev([getDataDir(), 'workspaces.json']);
+}
+
+/**
+ * Per-workspace setting overrides { workspace: { key: value } } limited to
+ * known workspaces and to the keys of WorkspaceSettingsFields.
+ */
+export function filterWorkspaceSettings (settings, workspaces) {
+    const filtered = {};
+    for (const workspace of workspaces) {
+        const overrides = settings?.[workspace];
+        if (!overrides || typeof overrides !== 'object') continue;
+
+        const valid = Object.entries(overrides).filter(([key, value]) =>
+            WorkspaceSettingsFields.includes(key) && (typeof value === 'number' || typeof value === 'boolean'));
+        if (valid.length) filtered[workspace] = Object.fromEntries(valid);
+    }
+    return filtered;
+}
+
+/**
+ * Workspaces as saved by the extension: { workspaces, defaultWorkspace, settings },
+ * with no workspaces if it never saved them.
+ */
+export function loadWorkspacesConfig () {
+    try {
+        const [, contents] = GLib.file_get_contents(getWorkspacesConfigFile());
+        const config = JSON.parse(new TextDecoder().decode(contents));
+        const workspaces = Array.isArray(config?.workspaces) ? config.workspaces.filter(isValidWorkspaceName) : [];
+        const defaultWorkspace = workspaces.includes(config.defaultWorkspace) ? config.defaultWorkspace : null;
+        const settings = filterWorkspaceSettings(config.settings, workspaces);
+        return { workspaces, defaultWorkspace, settings };
+    } catch (e) {
+        return { workspaces: [], defaultWorkspace: null, settings: {} };
+    }
+}
+
+// Names of the configured workspaces, empty if the extension never saved them
+export function loadWorkspaceNames () {
+    return loadWorkspacesConfig().workspaces;
+}
+
+// Total size in bytes of the files below path, 0 if it does not exist
+export function getDiskUsage (path) {
+    const file = Gio.File.new_for_path(path);
+    let size = 0;
+    try {
+        const info = file.query_info('standard::type,standard::size', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        if (info.get_file_type() !== Gio.FileType.DIRECTORY) return info.get_size();
+
+        const enumerator = file.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS, null);
+        let fileInfo;
+        while ((fileInfo = enumerator.next_file(null))) {
+            size += getDiskUsage(file.get_child(fileInfo.get_name()).get_path());
+        }
+    } catch (e) {
+        if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND))
+            console.error('Failed to measure disk usage:', e);
+    }
+    return size;
+}
+
+// Number of entries stored in a workspace directory: index.json replayed with journal.log
+function countEntries (dir) {
+    const decoder = new TextDecoder();
+    let ids = [];
+    try {
+        const [, contents] = GLib.file_get_contents(GLib.build_filenamev([dir, 'index.json']));
+        ids = JSON.parse(decoder.decode(contents));
+    } catch (e) {
+        // Workspace without history yet
+    }
+
+    try {
+        const [, contents] = GLib.file_get_contents(GLib.build_filenamev([dir, 'journal.log']));
+        for (const operation of decoder.decode(contents).split('\n').filter(line => line)) {
+            const [type, id] = operation.split(' ');
+            if (type === 'add' || type === 'move' || type === 'remove') ids = ids.filter(other => other !== id);
+            if (type === 'add' || type === 'move') ids.push(id);
+        }
+    } catch (e) {
+        // No operations since the last compaction
+    }
+    return ids.length;
+}
+
+// Number of entries of a workspace, its history and pinned entries together
+export function getEntryCount (workspace) {
+    return getWorkspaceDirs(workspace).reduce((count, dir) => count + countEntries(dir), 0);
+}
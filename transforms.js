@@ -0,0 +1,126 @@
+import GLib from 'gi://GLib';
+
+// Text transforms of the "Paste as" menu. apply returns null when the text cannot be transformed.
+
+// Marks a label for translation, it is translated where the menu is built
+const N_ = text => text;
+
+// Words of text for identifier cases: camelCase humps and any non-alphanumeric run split words
+function splitWords (text) {
+    return text.replace(/(\p{Ll}|\p{N})(\p{Lu})/gu, '$1 $2')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word)
+        .map(word => word.toLowerCase());
+}
+
+function capitalize (word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Fence longer than any run of backticks in the text, so the text cannot close it
+function fence (text) {
+    const longest = Math.max(0, ...[...text.matchAll(/`+/g)].map(match => match[0].length));
+    const marker = '`'.repeat(Math.max(3, longest + 1));
+    return `${marker}\n${text.replace(/\n$/, '')}\n${marker}`;
+}
+
+function urlDecode (text) {
+    try {
+        return decodeURIComponent(text.replace(/\+/g, ' '));
+    } catch (e) {
+        return null;
+    }
+}
+
+function base64Decode (text) {
+    const encoded = text.replace(/\s+/g, '');
+    if (!encoded || !/^[A-Za-z0-9+/]*={0,2}$/.test(encoded)) return null;
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(GLib.base64_decode(encoded));
+    } catch (e) {
+        return null;
+    }
+}
+
+export const TextTransforms = [
+    {
+        id: 'plain',
+        label: N_('Plain text'),
+        apply: text => text
+    },
+    {
+        id: 'trim',
+        label: N_('Trimmed, single spaces'),
+        apply: text => text.replace(/\s+/g, ' ').trim()
+    },
+    {
+        id: 'upper',
+        label: N_('UPPER CASE'),
+        apply: text => text.toUpperCase()
+    },
+    {
+        id: 'lower',
+        label: N_('lower case'),
+        apply: text => text.toLowerCase()
+    },
+    {
+        id: 'title',
+        label: N_('Title Case'),
+        apply: text => text.toLowerCase().replace(/(^|[^\p{L}\p{N}'])(\p{L})/gu,
+            (match, before, letter) => before + letter.toUpperCase())
+    },
+    {
+        id: 'snake',
+        label: N_('snake_case'),
+        apply: text => splitWords(text).join('_')
+    },
+    {
+        id: 'camel',
+        label: N_('camelCase'),
+        apply: text => splitWords(text).map((word, i) => i ? capitalize(word) : word).join('')
+    },
+    {
+        id: 'kebab',
+        label: N_('kebab-case'),
+        apply: text => splitWords(text).join('-')
+    },
+    {
+        id: 'json',
+        label: N_('JSON string escaped'),
+        apply: text => JSON.stringify(text).slice(1, -1)
+    },
+    {
+        id: 'url-encode',
+        label: N_('URL encoded'),
+        apply: text => encodeURIComponent(text)
+    },
+    {
+        id: 'url-decode',
+        label: N_('URL decoded'),
+        apply: urlDecode
+    },
+    {
+        id: 'base64-encode',
+        label: N_('Base64 encoded'),
+        apply: text => GLib.base64_encode(new TextEncoder().encode(text))
+    },
+    {
+        id: 'base64-decode',
+        label: N_('Base64 decoded'),
+        apply: base64Decode
+    },
+    {
+        id: 'shell',
+        label: N_('Shell quoted'),
+        apply: text => `'${text.replace(/'/g, `'\\''`)}'`
+    },
+    {
+        id: 'fence',
+        label: N_('Markdown code block'),
+        apply: fence
+    }
+];
+
+export function getTextTransform (id) {
+    return TextTransforms.find(transform => transform.id === id) ?? null;
+}
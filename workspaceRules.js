@@ -0,0 +1,64 @@
+import GLib from 'gi://GLib';
+
+import { getDataDir } from './storage.js';
+
+// Shared by the extension and the preferences window, so it must not import Shell libraries
+
+export const RuleTargets = {
+    APP: 'app',
+    TITLE: 'title'
+};
+
+export function getWorkspaceRulesFile () {
+    return GLib.build_filenamev([getDataDir(), 'workspace-rules.json']);
+}
+
+/**
+ * Rules switching the clipboard workspace when a window gets the focus,
+ * as [{ pattern, target, workspace }] in priority order.
+ */
+export function loadWorkspaceRules () {
+    try {
+        const [, contents] = GLib.file_get_contents(getWorkspaceRulesFile());
+        const config = JSON.parse(new TextDecoder().decode(contents));
+        if (!Array.isArray(config?.rules)) return [];
+
+        return config.rules.filter(rule => rule?.pattern && rule.workspace &&
+            Object.values(RuleTargets).includes(rule.target));
+    } catch (e) {
+        return [];
+    }
+}
+
+export function saveWorkspaceRules (rules) {
+    try {
+        GLib.mkdir_with_parents(getDataDir(), 0o775);
+        const contents = new TextEncoder().encode(JSON.stringify({ rules }));
+        GLib.file_set_contents(getWorkspaceRulesFile(), contents);
+    } catch (e) {
+        console.error('Failed to save workspace rules:', e);
+    }
+}
+
+// Case-insensitive match where * stands for any run of characters
+function wildcardMatch (pattern, text) {
+    const source = pattern.split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}$`, 'i').test(text);
+}
+
+/**
+ * First rule matching the focused window. App patterns must match the app id
+ * (with or without .desktop), WM_CLASS or app name as a whole, title patterns
+ * may match any part of the window title.
+ */
+export function findWorkspaceRule (rules, { id, wmClass, name, title }) {
+    const appNames = [id, id?.replace(/\.desktop$/, ''), wmClass, name].filter(value => !!value);
+
+    return rules.find(rule => {
+        if (rule.target === RuleTargets.TITLE)
+            return !!title && wildcardMatch(`*${rule.pattern}*`, title);
+        return appNames.some(appName => wildcardMatch(rule.pattern, appName));
+    }) ?? null;
+}